@@ -0,0 +1,282 @@
+import { buildFilterConditions } from '../search/productFilters.js';
+
+/**
+ * SQL analytics over the products table
+ * Answers the analytical intents recognized by queryIntent.js
+ */
+
+const CURRENT_PRICE = 'price';
+
+/**
+ * Keepa price average column for the window closest to the requested days
+ * @param {number|null} days Requested window
+ * @returns {string} Column name
+ */
+function averagePrice(days) {
+  if (days && days > 90) return 'buy_box_avg_180';
+  if (days && days > 30) return 'buy_box_avg_90';
+  return 'buy_box_avg_30';
+}
+
+/**
+ * Price of the oldest snapshot within the last `days` before the product's
+ * latest import - null until at least two exports of the product exist
+ * @param {number|null} days Requested window, 30 when not given
+ * @returns {string} SQL expression evaluating to REAL or NULL
+ */
+function snapshotBaselinePrice(days) {
+  const window = `-${Math.max(1, Math.round(days || 30))} days`;
+  return `(SELECT s.price FROM product_snapshots s
+    WHERE s.asin = products.asin AND s.price IS NOT NULL
+      AND s.captured_at < products.snapshot_at
+      AND s.captured_at >= strftime('%Y-%m-%dT%H:%M:%fZ', products.snapshot_at, '${window}')
+    ORDER BY s.captured_at LIMIT 1)`;
+}
+
+/**
+ * Price change as a fraction of the baseline, preferring our own snapshot
+ * history and falling back to the Keepa average columns of the latest export
+ * @param {Object} intent Intent from detectIntent()
+ * @param {number} sign 1 for drops, -1 for rises
+ * @returns {string} SQL expression
+ */
+function priceChange(intent, sign) {
+  const baseline = `COALESCE(${snapshotBaselinePrice(intent.days)}, ${averagePrice(intent.days)})`;
+  return `${sign} * (${baseline} - ${CURRENT_PRICE}) / NULLIF(${baseline}, 0)`;
+}
+
+const AVG_30 = averagePrice(30);
+const AVG_90 = averagePrice(90);
+
+/**
+ * Metric catalog - every expression is built from trusted strings only,
+ * user input never reaches the SQL text
+ */
+export const METRICS = {
+  price: {
+    label: 'price',
+    format: 'currency',
+    expression: () => CURRENT_PRICE
+  },
+  sales_rank: {
+    label: 'sales rank',
+    format: 'rank',
+    expression: () => 'NULLIF(sales_rank, 0)'
+  },
+  review_rating: {
+    label: 'rating',
+    format: 'rating',
+    expression: () => 'review_rating'
+  },
+  review_count: {
+    label: 'review count',
+    format: 'count',
+    expression: () => 'review_count'
+  },
+  price_stability: {
+    label: 'price variation (current vs 30/90-day averages)',
+    format: 'percent',
+    expression: () => `(MAX(${CURRENT_PRICE}, ${AVG_30}, ${AVG_90}) - MIN(${CURRENT_PRICE}, ${AVG_30}, ${AVG_90})) / NULLIF(${AVG_90}, 0)`
+  },
+  price_drop: {
+    label: 'price drop',
+    format: 'percent',
+    expression: (intent) => priceChange(intent, 1)
+  },
+  price_rise: {
+    label: 'price rise',
+    format: 'percent',
+    expression: (intent) => priceChange(intent, -1)
+  },
+  demand: {
+    label: 'sales rank drops (estimated sales)',
+    format: 'count',
+    expression: (intent) => intent.days && intent.days <= 30
+      ? 'sales_rank_drops_30'
+      : 'sales_rank_drops_90'
+  },
+  price_trend: {
+    label: 'sales rank',
+    format: 'rank',
+    expression: () => 'NULLIF(sales_rank, 0)'
+  }
+};
+
+/**
+ * Format a metric value for display
+ * @param {string} format Metric format
+ * @param {number|null} value Raw value
+ * @returns {string} Human-readable value
+ */
+export function formatMetricValue(format, value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'n/a';
+
+  switch (format) {
+    case 'currency':
+      return `$${Number(value).toFixed(2)}`;
+    case 'percent':
+      return `${(value * 100).toFixed(1)}%`;
+    case 'rank':
+      return `#${Math.round(value).toLocaleString('en-US')}`;
+    case 'rating':
+      return `${Number(value).toFixed(1)}★`;
+    default:
+      return Math.round(value).toLocaleString('en-US');
+  }
+}
+
+/**
+ * Shape a database row like a search result so the chat UI can treat
+ * analytics and semantic answers the same way
+ */
+function toResult(row) {
+  return {
+    metadata: {
+      asin: row.asin,
+      title: row.title,
+      brand: row.brand,
+      source: 'analytics'
+    },
+    value: row.value,
+    values: {
+      price: row.current_price,
+      salesRank: row.sales_rank,
+      reviewRating: row.review_rating,
+      reviewCount: row.review_count,
+      priceAvg30: row.avg_30,
+      priceAvg90: row.avg_90,
+      priceLowest: row.buy_box_lowest,
+      priceHighest: row.buy_box_highest,
+      amazonPrice: row.amazon_price,
+      newPrice: row.new_price,
+      salesRankAvg30: row.sales_rank_avg_30,
+      salesRankDrops90: row.sales_rank_drops_90
+    }
+  };
+}
+
+const CONTEXT_COLUMNS = `
+  asin, title, brand, sales_rank, review_rating, review_count,
+  ${CURRENT_PRICE} AS current_price,
+  ${AVG_30} AS avg_30,
+  ${AVG_90} AS avg_90,
+  buy_box_lowest, buy_box_highest, amazon_price, new_price,
+  sales_rank_avg_30, sales_rank_drops_90
+`;
+
+/**
+ * Describe where a price currently sits relative to its averages
+ */
+function describeTrend(result) {
+  const { price, priceAvg30, priceAvg90 } = result.values;
+  if (price == null || priceAvg90 == null) return 'not enough price history';
+
+  const change = (price - priceAvg90) / priceAvg90;
+  if (Math.abs(change) < 0.02) return `flat at ${formatMetricValue('currency', price)} (90-day avg ${formatMetricValue('currency', priceAvg90)})`;
+
+  const direction = change < 0 ? 'down' : 'up';
+  const recent = priceAvg30 != null ? `, 30-day avg ${formatMetricValue('currency', priceAvg30)}` : '';
+  return `${direction} ${formatMetricValue('percent', Math.abs(change))} to ${formatMetricValue('currency', price)} vs 90-day avg ${formatMetricValue('currency', priceAvg90)}${recent}`;
+}
+
+/**
+ * Build the answer text for a ranking, extreme or trend intent
+ */
+function formatRankingAnswer(intent, metric, results) {
+  if (results.length === 0) {
+    return `I couldn't find any products with ${metric.label} data to answer that. ` +
+      'Make sure your Keepa export includes the price and sales rank statistics columns.';
+  }
+
+  if (intent.metric === 'price_trend') {
+    const lines = results.map((result, index) =>
+      `${index + 1}. ${result.metadata.title || 'Unknown product'} (ASIN: ${result.metadata.asin}): ${describeTrend(result)}`);
+    return `Price trends for the ${results.length} best-selling products:\n\n${lines.join('\n')}`;
+  }
+
+  const describe = (result) =>
+    `${result.metadata.title || 'Unknown product'} (ASIN: ${result.metadata.asin}) - ${metric.label}: ${formatMetricValue(metric.format, result.value)}`;
+
+  if (results.length === 1) {
+    return `${describe(results[0])}.`;
+  }
+
+  const lines = results.map((result, index) => `${index + 1}. ${describe(result)}`);
+  return `Top ${results.length} products by ${metric.label}:\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Build a side-by-side comparison answer
+ */
+function formatComparisonAnswer(asins, results) {
+  const found = new Set(results.map(result => result.metadata.asin));
+  const missing = asins.filter(asin => !found.has(asin));
+
+  if (results.length === 0) {
+    return `I couldn't find ${asins.join(', ')} in your Keepa data.`;
+  }
+
+  const lines = results.map(result => {
+    const { price, salesRank, reviewRating, reviewCount } = result.values;
+    return `- ${result.metadata.title || 'Unknown product'} (ASIN: ${result.metadata.asin}): ` +
+      `price ${formatMetricValue('currency', price)}, sales rank ${formatMetricValue('rank', salesRank)}, ` +
+      `rating ${formatMetricValue('rating', reviewRating)} (${formatMetricValue('count', reviewCount)} reviews)`;
+  });
+
+  // Name the winner for each metric where at least two products have a value
+  const winners = [
+    ['Lowest price', 'price', (a, b) => a < b],
+    ['Best sales rank', 'salesRank', (a, b) => a < b],
+    ['Highest rating', 'reviewRating', (a, b) => a > b],
+    ['Most reviews', 'reviewCount', (a, b) => a > b]
+  ].map(([label, key, better]) => {
+    const candidates = results.filter(result => result.values[key] != null);
+    if (candidates.length < 2) return null;
+    const best = candidates.reduce((a, b) => (better(b.values[key], a.values[key]) ? b : a));
+    return `${label}: ${best.metadata.asin}`;
+  }).filter(Boolean);
+
+  let answer = `Comparison of ${results.length} products:\n\n${lines.join('\n')}`;
+  if (winners.length > 0) answer += `\n\n${winners.join('. ')}.`;
+  if (missing.length > 0) answer += `\n\nNot found in your data: ${missing.join(', ')}.`;
+  return answer;
+}
+
+/**
+ * Run an analytical intent against the products table
+ * @param {Object} db Open sqlite database
+ * @param {Object} intent Intent from detectIntent()
+ * @returns {Promise<Object>} { answer, results }
+ */
+export async function runAnalyticsQuery(db, intent) {
+  if (intent.type === 'comparison') {
+    const placeholders = intent.asins.map(() => '?').join(', ');
+    const rows = await db.all(
+      `SELECT ${CONTEXT_COLUMNS}, NULL AS value FROM products WHERE asin IN (${placeholders})`,
+      intent.asins
+    );
+    const results = rows.map(toResult);
+    return { answer: formatComparisonAnswer(intent.asins, results), results };
+  }
+
+  const metric = METRICS[intent.metric];
+  if (!metric) {
+    throw new Error(`Unknown analytics metric: ${intent.metric}`);
+  }
+
+  const order = intent.order === 'desc' ? 'DESC' : 'ASC';
+  // Follow-up scopes and request filters restrict the candidate products
+  const { conditions, params } = buildFilterConditions(intent.scope);
+  const rows = await db.all(
+    `SELECT ${CONTEXT_COLUMNS}, value FROM (
+       SELECT *, ${metric.expression(intent)} AS value FROM products
+     )
+     WHERE ${['value IS NOT NULL', ...conditions].join(' AND ')}
+     ORDER BY value ${order}
+     LIMIT ?`,
+    [...params, intent.limit || 1]
+  );
+
+  const results = rows.map(toResult);
+  return { answer: formatRankingAnswer(intent, metric, results), results };
+}
@@ -0,0 +1,123 @@
+/**
+ * Query intent detection for chat questions
+ * Decides whether a question is analytical (ranking, extremes, comparisons,
+ * trends) and can be answered with SQL, or needs a semantic product search
+ */
+
+// Amazon ASINs are 10 characters: "B0" style ids or ISBN-10 numbers
+const ASIN_PATTERN = /\b(B0[A-Z0-9]{8}|\d{9}[\dX])\b/gi;
+const WHOLE_ASIN = /^(?:B0[A-Z0-9]{8}|\d{9}[\dX])$/i;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const DEFAULT_LIST_LIMIT = 5;
+const MAX_LIMIT = 25;
+
+/**
+ * Ordered intent rules - the first matching rule wins, so the more
+ * specific phrasings must come before the generic ones
+ */
+const INTENT_RULES = [
+  // Semantic "find products like X" questions go to the vector store
+  { type: 'semantic', patterns: [/\b(similar to|products? like|items? like|alternatives? to|something like)\b/] },
+
+  // Trends computed from Keepa's price and sales rank statistics
+  { type: 'trend', metric: 'price_stability', order: 'asc', patterns: [/\b(most |least )?stable\b/, /\bstability\b/, /\bconsistent pric/] },
+  { type: 'trend', metric: 'price_drop', order: 'desc', patterns: [/\b(drop|dropped|drops|fell|fallen|decreas\w*|cut)\b.*\bprice/, /\bprice\w*\b.*\b(drop|dropped|drops|fell|fallen|decreas\w*)\b/] },
+  { type: 'trend', metric: 'price_rise', order: 'desc', patterns: [/\b(rose|risen|increas\w*|went up|jump\w*)\b.*\bprice/, /\bprice\w*\b.*\b(rose|risen|increas\w*|went up|jump\w*)\b/] },
+  { type: 'trend', metric: 'demand', order: 'desc', minLimit: DEFAULT_LIST_LIMIT, patterns: [/\brestock\w*\b/, /\b(demand|selling fast|sells fast|moving fast)\b/] },
+  { type: 'trend', metric: 'price_trend', order: 'asc', minLimit: DEFAULT_LIST_LIMIT, patterns: [/\bprice trends?\b/, /\btrends?\b.*\bprice/, /\bsummari[sz]e\b.*\bprice/] },
+
+  // Extremes and rankings over the current values
+  { type: 'extreme', metric: 'sales_rank', order: 'asc', patterns: [/\bbest[- ]?sell\w*\b/, /\btop[- ]?sell\w*\b/, /\b(best|highest|top) (sales )?rank\w*\b/, /\bsells? (the )?most\b/] },
+  { type: 'extreme', metric: 'sales_rank', order: 'desc', patterns: [/\b(worst|lowest) (sales )?rank\w*\b/, /\bworst[- ]?sell\w*\b/, /\bsells? (the )?least\b/] },
+  { type: 'extreme', metric: 'price', order: 'asc', patterns: [/\bcheapest\b/, /\b(lowest|least) (price|expensive|cost)\w*\b/] },
+  { type: 'extreme', metric: 'price', order: 'desc', patterns: [/\b(most expensive|priciest|highest price\w*|costliest)\b/] },
+  { type: 'extreme', metric: 'review_rating', order: 'desc', patterns: [/\b(best|highest|top)[- ]rated\b/, /\b(best|highest) ratings?\b/] },
+  { type: 'extreme', metric: 'review_rating', order: 'asc', patterns: [/\b(worst|lowest)[- ]rated\b/, /\b(worst|lowest) ratings?\b/] },
+  { type: 'extreme', metric: 'review_count', order: 'desc', patterns: [/\bmost (reviews|reviewed|popular)\b/] },
+  { type: 'extreme', metric: 'review_count', order: 'asc', patterns: [/\b(fewest|least) (reviews|reviewed)\b/] }
+];
+
+/**
+ * Extract every ASIN mentioned in a question
+ * @param {string} question User question
+ * @returns {string[]} Unique upper-cased ASINs in order of appearance
+ */
+export function extractAsins(question) {
+  const matches = question.match(ASIN_PATTERN) || [];
+  return [...new Set(matches.map(asin => asin.toUpperCase()))];
+}
+
+/**
+ * Check that a value is a single ASIN
+ * @param {*} value Candidate, e.g. an ASIN sent back by the client
+ * @returns {boolean} True for a string that is exactly one ASIN
+ */
+export function isAsin(value) {
+  return typeof value === 'string' && WHOLE_ASIN.test(value);
+}
+
+/**
+ * Work out how many rows the user asked for ("top 5", "three cheapest")
+ * @param {string} text Lower-cased question
+ * @returns {number} Requested number of rows
+ */
+function detectLimit(text) {
+  const explicit = text.match(/\b(?:top|best|worst|first|bottom)\s+(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/)
+    || text.match(/\b(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+(?:cheapest|most|best|worst|highest|lowest|products|items|asins)\b/);
+
+  if (explicit) {
+    const value = NUMBER_WORDS[explicit[1]] || parseInt(explicit[1], 10);
+    if (value > 0) return Math.min(value, MAX_LIMIT);
+  }
+
+  // "Which product..." wants one answer, "which products / each product" wants several
+  if (/\b(products|items|asins|listings|each|every|all|ones)\b/.test(text)) {
+    return DEFAULT_LIST_LIMIT;
+  }
+
+  return 1;
+}
+
+/**
+ * Detect the intent of a chat question
+ * @param {string} question User question
+ * @returns {Object} Intent with type ('comparison', 'trend', 'extreme', 'ranking' or 'semantic'),
+ *   and for analytical intents the metric, sort order, row limit, time window in days and mentioned ASINs
+ */
+export function detectIntent(question) {
+  const text = (question || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const asins = extractAsins(question || '');
+
+  // Two or more ASINs, or an explicit comparison, is answered side by side
+  if (asins.length >= 2 || (asins.length === 1 && /\b(compare|comparison|versus|vs\.?)\b/.test(text))) {
+    return { type: 'comparison', asins, analytical: true };
+  }
+
+  for (const rule of INTENT_RULES) {
+    if (!rule.patterns.some(pattern => pattern.test(text))) continue;
+
+    if (rule.type === 'semantic') {
+      return { type: 'semantic', asins, analytical: false };
+    }
+
+    const limit = Math.max(detectLimit(text), rule.minLimit || 1);
+    const days = text.match(/\b(\d+)\s*days?\b/);
+    return {
+      // A single row is an extreme, several rows make a ranking
+      type: rule.type === 'extreme' && limit > 1 ? 'ranking' : rule.type,
+      metric: rule.metric,
+      order: rule.order,
+      limit,
+      days: days ? parseInt(days[1], 10) : null,
+      asins,
+      analytical: true
+    };
+  }
+
+  return { type: 'semantic', asins, analytical: false };
+}
@@ -0,0 +1,189 @@
+import { extractAsins, isAsin } from '../analytics/queryIntent.js';
+
+/**
+ * Follow-up question resolution for multi-turn chat
+ * Resolves references such as "the second one", "those ASINs" or "that brand"
+ * against the ASINs of the previous answer before retrieval runs. Bare
+ * pronouns only count in short follow-ups, so "is it worth restocking
+ * electronics?" stays a question of its own, and positions need a product
+ * noun or a back-reference, so "the top 3 best sellers" does too
+ */
+
+const MAX_HISTORY_TURNS = 10;
+// An answer shows at most this many products, so a longer list did not come from us
+const MAX_TURN_ASINS = 25;
+// Bare "it" / "them" only refer back in a short follow-up like "how much is it?"
+const MAX_BARE_REFERENCE_WORDS = 6;
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+const COUNT_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const PLURAL_NOUN = '(?:ones|products|items|asins|results|listings)';
+// "of those", "from your list", "you mentioned" - wording that can only mean the previous answer
+const BACK_REFERENCE = '(?:(?:of|from|on|in) (?:those|these|them|the above|your (?:list|answer|results)|that list)|(?:you|we) (?:listed|mentioned|showed|found|recommended))';
+// Where a group named only by its noun has to stop: "compare the top 3 products?" refers back,
+// "the top 3 products by reviews" is a new ranking question
+const CLAUSE_END = '(?=\\s*(?:[?.!,;]|$|and\\b))';
+
+// "the first two ones", "the top 3 products", "the top 3 from your list" - "the top 3 best
+// sellers" and "the top 5 cheapest products" are new questions and stay as they are
+const LEADING_GROUP = new RegExp(
+  `\\bthe (?:first|top) (two|three|four|five|six|seven|eight|nine|ten|\\d+)(?:(?: ${PLURAL_NOUN})? ${BACK_REFERENCE}| ${PLURAL_NOUN}${CLAUSE_END})`,
+  'gi'
+);
+// "the second one", "the 3rd product", "the last one" - "the second floor" is not a reference
+const ORDINAL_REFERENCE = /\bthe (first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|\d+(?:st|nd|rd|th)|last) (?:one|product|item|asin|result|listing)\b/gi;
+// "#2", "item 2", "number 2 from your list" - not "#1 best seller", and a bare "number 2"
+// could be anything
+const NUMBERED_REFERENCE = new RegExp(
+  `(?:#|\\b(?:item|result) )(\\d+)\\b(?!\\s+(?:\\w+est|most|least|top|selling)\\b)|\\b(?:number|no\\.) (\\d+) ${BACK_REFERENCE}`,
+  'gi'
+);
+// "both" / "both of them"
+const BOTH_REFERENCE = /\bboth(?: of them| products| items)?\b/gi;
+// "that one", "this product"
+const SINGULAR_REFERENCE = /\b(?:that|this) (?:one|product|item|asin|listing)\b/gi;
+// "those", "these products", "the above"
+const PLURAL_REFERENCE = /\b(?:(?:those|these)(?: (?:ones|products|items|asins|results|listings))?|the above)\b/i;
+// A pronoun closing the question: "how much is it?", "compare them"
+const BARE_SINGULAR_REFERENCE = /\bit(?=[\s?.!]*$)/i;
+const BARE_PLURAL_REFERENCE = /\b(?:them|they)(?=[\s?.!]*$)/i;
+// "that brand", "the same brand"
+const BRAND_REFERENCE = /\b(?:that|this|the same|its|their) brand\b/i;
+
+/**
+ * Keep only well-formed history entries, newest last
+ * @param {Array} history Conversation history sent by the client
+ * @returns {Array} Sanitized { role, content, asins } entries
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(entry => entry && (entry.role === 'user' || entry.role === 'assistant'))
+    .slice(-MAX_HISTORY_TURNS * 2)
+    .map(entry => ({
+      role: entry.role,
+      content: typeof entry.content === 'string' ? entry.content : '',
+      asins: Array.isArray(entry.asins)
+        ? [...new Set(entry.asins.filter(isAsin).map(asin => asin.toUpperCase()))].slice(0, MAX_TURN_ASINS)
+        : []
+    }));
+}
+
+/**
+ * ASINs of the most recent assistant answer that had any
+ * @param {Array} history Normalized history
+ * @returns {string[]} ASINs in the order they were presented
+ */
+export function previousAsins(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role === 'assistant' && history[i].asins.length > 0) {
+      return history[i].asins;
+    }
+  }
+  return [];
+}
+
+/**
+ * ASINs a turn should carry over to the next one: the cited products when the
+ * answer cited any, otherwise the retrieved results in order
+ * @param {string[]} citations ASINs cited in the answer
+ * @param {Array} results Retrieved documents
+ * @returns {string[]} Ordered ASINs
+ */
+export function conversationAsins(citations, results) {
+  if (citations && citations.length > 0) return citations;
+  return [...new Set(results.map(result => result.metadata?.asin).filter(Boolean))];
+}
+
+/**
+ * Whether a question is short enough for a bare pronoun to mean the previous answer
+ */
+function isShortFollowUp(question) {
+  return question.trim().split(/\s+/).length <= MAX_BARE_REFERENCE_WORDS;
+}
+
+function ordinalIndex(word, count) {
+  const lower = word.toLowerCase();
+  if (lower === 'last') return count - 1;
+  if (ORDINALS[lower]) return ORDINALS[lower] - 1;
+  return parseInt(lower, 10) - 1;
+}
+
+/**
+ * Resolve references to the previous turn in a follow-up question
+ * @param {string} question User question
+ * @param {Array} history Conversation history sent by the client
+ * @param {Object} options { lookupBrand(asin) } returning the brand of an ASIN
+ * @returns {Promise<Object>} { question, scope, references } where question has
+ *   individual product references replaced by their ASINs and scope restricts
+ *   retrieval to the referenced ASINs or brand (null when nothing was resolved)
+ */
+export async function resolveFollowUp(question, history, options = {}) {
+  const asins = previousAsins(normalizeHistory(history));
+  if (asins.length === 0) {
+    return { question, scope: null, references: [] };
+  }
+
+  const references = [];
+  const referenced = [];
+  let resolved = question;
+
+  const replaceWith = (pattern, pick) => {
+    resolved = resolved.replace(pattern, (match, ...groups) => {
+      const picked = pick(groups.find(group => group !== undefined)).filter(Boolean);
+      if (picked.length === 0) return match;
+      references.push({ text: match, asins: picked });
+      referenced.push(...picked);
+      return picked.join(' and ');
+    });
+  };
+
+  replaceWith(LEADING_GROUP, (group) => {
+    // "the top 10 ones" when the answer showed five is not about that answer
+    const count = COUNT_WORDS[group.toLowerCase()] || parseInt(group, 10);
+    return count <= asins.length ? asins.slice(0, count) : [];
+  });
+  replaceWith(ORDINAL_REFERENCE, (group) => [asins[ordinalIndex(group, asins.length)]]);
+  replaceWith(NUMBERED_REFERENCE, (group) => [asins[parseInt(group, 10) - 1]]);
+  replaceWith(BOTH_REFERENCE, () => asins.slice(0, 2));
+
+  let scope = null;
+  const plural = resolved.match(PLURAL_REFERENCE)
+    || (isShortFollowUp(resolved) ? resolved.match(BARE_PLURAL_REFERENCE) : null);
+
+  // Product references injected ASINs into the question; those ASINs are the scope
+  if (referenced.length > 0) {
+    scope = { asins: [...new Set(referenced)] };
+  } else if (plural) {
+    // Plural references keep the wording and scope the whole previous result list
+    references.push({ text: plural[0], asins });
+    scope = { asins };
+  } else if (extractAsins(resolved).length === 0) {
+    // "That one", or "it" in a short follow-up, means the top product of the previous answer
+    replaceWith(SINGULAR_REFERENCE, () => [asins[0]]);
+    if (referenced.length === 0 && isShortFollowUp(resolved)) {
+      replaceWith(BARE_SINGULAR_REFERENCE, () => [asins[0]]);
+    }
+    if (referenced.length > 0) scope = { asins: [asins[0]] };
+  }
+
+  // "That brand" means the brand of the product being discussed
+  if (BRAND_REFERENCE.test(resolved) && options.lookupBrand) {
+    const brand = await options.lookupBrand(scope?.asins?.[0] || asins[0]);
+    if (brand) {
+      resolved = resolved.replace(new RegExp(BRAND_REFERENCE.source, 'gi'), (match) => {
+        references.push({ text: match, brand });
+        return brand;
+      });
+      scope = { brand };
+    }
+  }
+
+  return { question: resolved, scope, references };
+}
@@ -0,0 +1,252 @@
+import fs from 'fs';
+
+/**
+ * Product document text
+ * Renders the text embedded for each product from a template and fits it to
+ * the model's token budget. A description too long for one document can be
+ * split into several chunks, each repeating the other fields, so every chunk
+ * is still recognisably about the same product
+ */
+
+// {field} placeholders are filled from productFields(); a line whose
+// placeholders are all empty is left out
+export const DEFAULT_DOCUMENT_TEMPLATE = [
+  'Title: {title}',
+  'Brand: {brand}',
+  'Model: {model}',
+  'Category: {category_path}',
+  'Features: {features}',
+  'Description: {description}'
+].join('\n');
+
+// Tokens the description keeps when other fields are long - they are shortened instead.
+// Small budgets reserve at most half for it
+const MIN_DESCRIPTION_TOKENS = 32;
+// Distinct words whose token counts are remembered before the memo is cleared
+const MAX_MEMO_WORDS = 200000;
+
+/**
+ * Values a document template can use
+ * @param {Object} product products row; features are read from the Feature columns kept in raw_data
+ * @returns {Object} Field name -> text, empty string when missing
+ */
+export function productFields(product) {
+  let features = [];
+  try {
+    const raw = product.raw_data ? JSON.parse(product.raw_data) : {};
+    features = Object.entries(raw)
+      // Keepa groups columns as "Description & Features: Feature 1" - look at the name after the group
+      .filter(([key, value]) => value && /feature/i.test(key.split(':').pop()))
+      .map(([, value]) => String(value));
+  } catch {
+    // Unparseable raw data only costs the features
+  }
+
+  const text = value => (value === null || value === undefined ? '' : String(value));
+  return {
+    asin: text(product.asin),
+    title: text(product.title),
+    brand: text(product.brand),
+    model: text(product.model),
+    category: text(product.category),
+    category_path: text(product.category_path || product.category),
+    features: features.join('; '),
+    description: text(product.description),
+    price: text(product.price),
+    sales_rank: text(product.sales_rank),
+    review_rating: text(product.review_rating),
+    review_count: text(product.review_count)
+  };
+}
+
+/**
+ * Fill a template. Whitespace inside values is collapsed and lines left
+ * without any value are dropped
+ * @param {string} template Template with {field} placeholders
+ * @param {Object} fields Field values
+ * @returns {string} Document text
+ */
+export function renderTemplate(template, fields) {
+  return template
+    .split('\n')
+    .map(line => {
+      let filled = false;
+      const rendered = line.replace(/\{(\w+)\}/g, (_, name) => {
+        const value = (fields[name] || '').replace(/\s+/g, ' ').trim();
+        if (value) filled = true;
+        return value;
+      });
+      // Lines without placeholders are fixed text and always kept
+      return filled || !/\{\w+\}/.test(line) ? rendered.replace(/\s+/g, ' ').trim() : '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Load a template file
+ * @param {string|null} templatePath Path to the template, or null for the default
+ * @returns {string} Template
+ */
+export function loadDocumentTemplate(templatePath) {
+  if (!templatePath) return DEFAULT_DOCUMENT_TEMPLATE;
+
+  const template = fs.readFileSync(templatePath, 'utf-8').trim();
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(name => !(name in productFields({})));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fields in document template ${templatePath}: ${[...new Set(unknown)].join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * Count tokens with the model's tokenizer. Tokenizers split on whitespace
+ * before anything else, so counting word by word is exact for them and lets
+ * the count of every distinct word be remembered
+ * @param {Object|null} tokenizer transformers.js tokenizer; null estimates four characters per token
+ * @returns {Function} (word) => number of tokens
+ */
+export function createWordTokenCounter(tokenizer) {
+  if (!tokenizer) return word => Math.max(1, Math.ceil(word.length / 4));
+
+  const memo = new Map();
+  return word => {
+    let count = memo.get(word);
+    if (count === undefined) {
+      if (memo.size >= MAX_MEMO_WORDS) memo.clear();
+      count = Math.max(1, tokenizer.encode(word, null, { add_special_tokens: false }).length);
+      memo.set(word, count);
+    }
+    return count;
+  };
+}
+
+export class DocumentTextBuilder {
+  /**
+   * @param {Object} options
+   * @param {string} options.template Template with {field} placeholders
+   * @param {Function} options.countWordTokens (word) => tokens, from createWordTokenCounter()
+   * @param {number} options.maxTokens Token budget of one document
+   * @param {number} options.maxChunks Documents a long description may be split into; 1 truncates it
+   */
+  constructor({ template = DEFAULT_DOCUMENT_TEMPLATE, countWordTokens, maxTokens, maxChunks = 1 }) {
+    this.template = template;
+    this.countWordTokens = countWordTokens;
+    this.maxTokens = maxTokens;
+    this.maxChunks = Math.max(1, maxChunks);
+  }
+
+  /**
+   * @param {string} text Text
+   * @returns {number} Tokens in the text
+   */
+  countTokens(text) {
+    return text.split(/\s+/).filter(Boolean).reduce((sum, word) => sum + this.countWordTokens(word), 0);
+  }
+
+  /**
+   * Longest prefix of a text within a token budget, cut between words
+   * @param {string} text Text
+   * @param {number} budget Tokens allowed
+   * @returns {Object} { head, rest } - rest is empty when the whole text fits
+   */
+  splitAtTokens(text, budget) {
+    const words = text.split(' ');
+    let used = 0;
+    let end = 0;
+    while (end < words.length) {
+      const tokens = this.countWordTokens(words[end]);
+      // A single word longer than the budget still goes in whole - the model truncates it
+      if (used + tokens > budget && end > 0) break;
+      used += tokens;
+      end++;
+    }
+    return { head: words.slice(0, end).join(' '), rest: words.slice(end).join(' ') };
+  }
+
+  /**
+   * Cut a rendered document to the token budget, keeping line breaks
+   * @param {string} text Rendered document
+   * @returns {string} Text within maxTokens
+   */
+  truncate(text) {
+    const lines = [];
+    let budget = this.maxTokens;
+    for (const line of text.split('\n')) {
+      if (budget <= 0) break;
+      const { head } = this.splitAtTokens(line, budget);
+      lines.push(head);
+      budget -= this.countTokens(head);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Tokens a document spends on everything but the description's text
+   * @param {Object} fields Field values
+   * @returns {number} Tokens
+   */
+  overhead(fields) {
+    return this.countTokens(renderTemplate(this.template, { ...fields, description: 'x' })) - this.countWordTokens('x');
+  }
+
+  /**
+   * Shorten the longest fields other than the description until the rest of
+   * the document fits a token limit
+   * @param {Object} fields Field values
+   * @param {number} limit Tokens for everything but the description's text
+   * @returns {Object} Field values, shortened where needed
+   */
+  shortenFields(fields, limit) {
+    const fitted = { ...fields };
+    let excess = this.overhead(fitted) - limit;
+
+    while (excess > 0) {
+      const [longest] = Object.keys(fitted)
+        .filter(name => name !== 'description' && this.template.includes(`{${name}}`))
+        .map(name => ({ name, value: fitted[name].replace(/\s+/g, ' ').trim() }))
+        .map(field => ({ ...field, tokens: this.countTokens(field.value) }))
+        .filter(field => field.tokens > 0)
+        .sort((a, b) => b.tokens - a.tokens);
+      if (!longest) break;
+
+      const { head } = this.splitAtTokens(longest.value, longest.tokens - excess);
+      // Drop the field when not even its first word can stay
+      fitted[longest.name] = head === longest.value ? '' : head;
+      excess = this.overhead(fitted) - limit;
+    }
+    return fitted;
+  }
+
+  /**
+   * Texts to embed for a product - one, or one per description chunk
+   * @param {Object} product products row
+   * @returns {string[]} Document texts, empty when the product has no text at all
+   */
+  build(product) {
+    const fields = productFields(product);
+    const description = fields.description.replace(/\s+/g, ' ').trim();
+    const full = renderTemplate(this.template, fields);
+    if (!full) return [];
+
+    if (!description || this.countTokens(full) <= this.maxTokens || !this.template.includes('{description}')) {
+      return [this.truncate(full)];
+    }
+
+    // The other fields are repeated in every chunk and the description gets what is left
+    const reserve = Math.min(MIN_DESCRIPTION_TOKENS, Math.floor(this.maxTokens / 2));
+    const fitted = this.shortenFields(fields, this.maxTokens - reserve);
+    const budget = Math.max(1, this.maxTokens - this.overhead(fitted));
+
+    const texts = [];
+    let rest = description;
+    while (rest && texts.length < this.maxChunks) {
+      const { head, rest: remaining } = this.splitAtTokens(rest, budget);
+      texts.push(this.truncate(renderTemplate(this.template, { ...fitted, description: head })));
+      rest = remaining;
+    }
+    return texts;
+  }
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+/**
+ * Embedding cache
+ * Stores embeddings in SQLite keyed by (model id, hash of the normalized
+ * text), so rebuilds and repeated search queries skip the model for text it
+ * has already seen
+ */
+
+// Rows per multi-row statement - keeps every statement under SQLite's bound parameter limit
+const STATEMENT_ROWS = 100;
+// last_used_at only feeds pruning, which counts in days, so a hit refreshes it at most this often
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Key text for the cache. Whitespace is collapsed because the tokenizer
+ * ignores it, so texts that only differ in spacing embed the same
+ * @param {string} text Text to embed
+ * @returns {string} SHA-256 hex digest of the normalized text
+ */
+export function hashEmbeddingText(text) {
+  const normalized = String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function toBlob(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer);
+}
+
+function fromBlob(blob) {
+  // Copy first - a Buffer from sqlite is not guaranteed to be 4-byte aligned
+  return Array.from(new Float32Array(Uint8Array.from(blob).buffer));
+}
+
+export class EmbeddingCache {
+  /**
+   * @param {Object} db Open sqlite database
+   * @param {Object} options { model } - embeddings of other models are never returned
+   */
+  constructor(db, { model }) {
+    this.db = db;
+    this.model = model;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Create the embedding_cache table
+   */
+  async setup() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        model TEXT NOT NULL,
+        text_hash TEXT NOT NULL,
+        dimension INTEGER NOT NULL,
+        embedding BLOB NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        PRIMARY KEY (model, text_hash)
+      );
+      CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
+    `);
+  }
+
+  /**
+   * Look up the embeddings of several texts
+   * @param {string[]} texts Texts to embed
+   * @returns {Promise<Array>} Embedding per text, null where it is not cached
+   */
+  async getMany(texts) {
+    const hashes = texts.map(hashEmbeddingText);
+    const found = new Map();
+
+    for (let i = 0; i < hashes.length; i += STATEMENT_ROWS) {
+      const chunk = [...new Set(hashes.slice(i, i + STATEMENT_ROWS))];
+      const placeholders = chunk.map(() => '?').join(', ');
+      const rows = await this.db.all(
+        `SELECT text_hash, embedding, last_used_at FROM embedding_cache WHERE model = ? AND text_hash IN (${placeholders})`,
+        [this.model, ...chunk]
+      );
+      for (const row of rows) found.set(row.text_hash, fromBlob(row.embedding));
+
+      const staleBefore = new Date(Date.now() - TOUCH_INTERVAL_MS).toISOString();
+      const stale = rows.filter(row => row.last_used_at < staleBefore).map(row => row.text_hash);
+      if (stale.length > 0) {
+        await this.db.run(
+          `UPDATE embedding_cache SET last_used_at = ? WHERE model = ? AND text_hash IN (${stale.map(() => '?').join(', ')})`,
+          [new Date().toISOString(), this.model, ...stale]
+        );
+      }
+    }
+
+    return hashes.map(hash => {
+      const embedding = found.get(hash) || null;
+      if (embedding) this.hits++;
+      else this.misses++;
+      return embedding;
+    });
+  }
+
+  /**
+   * Store freshly computed embeddings
+   * @param {string[]} texts Embedded texts
+   * @param {Array} embeddings Embedding per text; null entries are skipped
+   */
+  async putMany(texts, embeddings) {
+    const now = new Date().toISOString();
+    const rows = texts
+      .map((text, i) => embeddings[i] && [this.model, hashEmbeddingText(text), embeddings[i].length, toBlob(embeddings[i]), now, now])
+      .filter(Boolean);
+
+    for (let i = 0; i < rows.length; i += STATEMENT_ROWS) {
+      const chunk = rows.slice(i, i + STATEMENT_ROWS);
+      await this.db.run(
+        `INSERT OR REPLACE INTO embedding_cache (model, text_hash, dimension, embedding, created_at, last_used_at)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flat()
+      );
+    }
+  }
+
+  /**
+   * Hit and miss counters since startup plus the size of the cache
+   * @returns {Promise<Object>} { model, hits, misses, hitRate, entries }
+   */
+  async stats() {
+    const { entries } = await this.db.get(
+      'SELECT COUNT(*) AS entries FROM embedding_cache WHERE model = ?',
+      [this.model]
+    );
+    const lookups = this.hits + this.misses;
+    return {
+      model: this.model,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      entries
+    };
+  }
+}
+
+/**
+ * Delete cache entries
+ * @param {Object} db Open sqlite database
+ * @param {Object} options { unusedForDays, model, all } - entries not used for that
+ *   many days, or every entry of a model, or everything
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function pruneEmbeddingCache(db, { unusedForDays, model, all = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!all) {
+    if (unusedForDays !== undefined) {
+      conditions.push('last_used_at < ?');
+      params.push(new Date(Date.now() - unusedForDays * 24 * 60 * 60 * 1000).toISOString());
+    }
+    if (model) {
+      conditions.push('model = ?');
+      params.push(model);
+    }
+    if (conditions.length === 0) throw new Error('Nothing to prune - pass unusedForDays, model or all');
+  }
+
+  const { changes } = await db.run(
+    `DELETE FROM embedding_cache ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    params
+  );
+  return changes;
+}
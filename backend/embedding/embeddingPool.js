@@ -0,0 +1,173 @@
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+
+/**
+ * Embedding worker pool
+ * Runs the embedding model in worker_threads so index builds do not block
+ * the HTTP server. Query embeddings are urgent and jump the queue; bulk work
+ * (index builds and syncs) may only occupy bulkConcurrency workers at a time
+ * so a build never leaves searches waiting for a free worker
+ */
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'embeddingWorker.js');
+
+/**
+ * Split a pooled [count, dimension] embedding output into one plain array per text
+ * @param {Object} output { data, dims } from the pipeline or a worker
+ * @param {number} count Number of texts in the batch
+ * @returns {Array<number[]>} Embeddings in input order
+ */
+export function embeddingRows(output, count) {
+  const data = output?.data;
+  const dimension = output?.dims?.[output.dims.length - 1];
+  if (!data || !dimension || data.length !== dimension * count) {
+    throw new Error(`Unexpected embedding output shape ${JSON.stringify(output?.dims)} for ${count} texts`);
+  }
+  return Array.from({ length: count }, (_, i) => Array.from(data.subarray(i * dimension, (i + 1) * dimension)));
+}
+
+export class EmbeddingPool {
+  /**
+   * @param {Object} options { size, model, bulkConcurrency, transformersOptions } -
+   *   transformersOptions are passed to configureTransformers() in every worker
+   */
+  constructor({ size, model, bulkConcurrency = size, transformersOptions = {} }) {
+    this.size = size;
+    this.model = model;
+    this.transformersOptions = transformersOptions;
+    this.bulkConcurrency = Math.max(1, Math.min(bulkConcurrency, size));
+    this.workers = []; // { worker, task }
+    this.urgent = []; // queued query embeddings
+    this.bulk = []; // queued build and sync batches
+    this.nextTaskId = 1;
+    this.closed = false;
+  }
+
+  /**
+   * Start every worker and wait until each has loaded the model
+   */
+  async start() {
+    console.log(`Starting ${this.size} embedding workers for ${this.model}...`);
+    // The first worker downloads and caches the model; the others then load it from the cache
+    await this.spawn();
+    await Promise.all(Array.from({ length: this.size - 1 }, () => this.spawn()));
+    console.log(`${this.size} embedding workers ready`);
+  }
+
+  spawn() {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: { model: this.model, transformersOptions: this.transformersOptions }
+      });
+      const entry = { worker, task: null };
+      let ready = false;
+
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          ready = true;
+          this.workers.push(entry);
+          resolve();
+          this.dispatch();
+        } else if (message.type === 'failed') {
+          reject(new Error(`Embedding worker could not load ${this.model}: ${message.error}`));
+        } else if (message.type === 'result') {
+          this.complete(entry, message);
+        }
+      });
+
+      worker.on('error', (error) => {
+        if (!ready) reject(error);
+        else console.error(`Embedding worker error: ${error.message}`);
+      });
+
+      worker.on('exit', (code) => {
+        if (!ready) return reject(new Error(`Embedding worker exited with code ${code} while loading`));
+        this.workers = this.workers.filter(other => other !== entry);
+        entry.task?.reject(new Error(`Embedding worker exited with code ${code}`));
+        entry.task = null;
+
+        if (!this.closed) {
+          console.warn(`Embedding worker exited with code ${code} - starting a replacement`);
+          this.spawn().catch(error => console.error(`Could not replace embedding worker: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Embed a batch of texts in a worker
+   * @param {string[]} texts Non-empty texts
+   * @param {Object} options { urgent } - urgent work (queries) is served before bulk work
+   * @returns {Promise<Array<number[]>>} Embeddings in input order
+   */
+  embed(texts, { urgent = false } = {}) {
+    if (this.closed) return Promise.reject(new Error('Embedding pool is closed'));
+
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextTaskId++, texts, urgent, resolve, reject };
+      (urgent ? this.urgent : this.bulk).push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, urgent ones first
+   */
+  dispatch() {
+    for (const entry of this.workers) {
+      if (entry.task) continue;
+
+      const bulkRunning = this.workers.filter(other => other.task && !other.task.urgent).length;
+      const task = this.urgent.shift() || (bulkRunning < this.bulkConcurrency ? this.bulk.shift() : undefined);
+      if (!task) return;
+
+      entry.task = task;
+      entry.worker.postMessage({ id: task.id, texts: task.texts });
+    }
+  }
+
+  complete(entry, message) {
+    const task = entry.task;
+    entry.task = null;
+
+    if (task && task.id === message.id) {
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        try {
+          task.resolve(embeddingRows(message, task.texts.length));
+        } catch (error) {
+          task.reject(error);
+        }
+      }
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Workers, busy workers and queued batches, for status reporting
+   * @returns {Object} { size, busy, queued }
+   */
+  get stats() {
+    return {
+      size: this.workers.length,
+      busy: this.workers.filter(entry => entry.task).length,
+      queued: this.urgent.length + this.bulk.length
+    };
+  }
+
+  /**
+   * Stop all workers and fail whatever is still queued
+   */
+  async close() {
+    this.closed = true;
+    for (const task of [...this.urgent, ...this.bulk]) {
+      task.reject(new Error('Embedding pool is closed'));
+    }
+    this.urgent = [];
+    this.bulk = [];
+    await Promise.all(this.workers.map(entry => entry.worker.terminate()));
+    this.workers = [];
+  }
+}
@@ -0,0 +1,34 @@
+import { parentPort, workerData } from 'worker_threads';
+import { pipeline, env } from '@xenova/transformers';
+import { configureTransformers } from './modelFiles.js';
+
+/**
+ * Embedding worker
+ * Loads its own copy of the feature-extraction pipeline and embeds the
+ * batches the pool sends it, so inference never runs on the HTTP event loop
+ */
+
+configureTransformers(env, workerData.transformersOptions);
+
+let embedder;
+try {
+  embedder = await pipeline('feature-extraction', workerData.model);
+  parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+  parentPort.postMessage({ type: 'failed', error: error.message });
+  process.exit(1);
+}
+
+parentPort.on('message', async ({ id, texts }) => {
+  try {
+    const output = await embedder(texts, {
+      pooling: 'mean',
+      normalize: true,
+    });
+    // Copy into a buffer of our own so it can be transferred instead of cloned
+    const data = Float32Array.from(output.data);
+    parentPort.postMessage({ type: 'result', id, data, dims: output.dims }, [data.buffer]);
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: error.message });
+  }
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Local embedding model files
+ * A model directory holds one folder per model id (e.g. models/Xenova/gte-small),
+ * the layout transformers.js reads from env.localModelPath and writes to its
+ * file cache. fetch-model.js fills it and records a checksum manifest next to
+ * the files, so an air-gapped install can check them before loading
+ */
+
+export const MANIFEST_FILE = 'keepagpt-manifest.json';
+
+// What a feature-extraction pipeline loads with the default quantized weights
+const REQUIRED_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+
+/**
+ * Point transformers.js at a local model directory and forbid downloads.
+ * Without a directory the library keeps downloading from the Hugging Face hub
+ * @param {Object} env transformers.js env
+ * @param {Object} options { modelDir, debug }
+ */
+export function configureTransformers(env, { modelDir, debug = false } = {}) {
+  env.debug = debug;
+  if (!modelDir) return;
+
+  env.localModelPath = modelDir.endsWith(path.sep) ? modelDir : `${modelDir}${path.sep}`;
+  env.allowLocalModels = true;
+  env.allowRemoteModels = false;
+}
+
+/**
+ * Folder of a model inside the model directory
+ * @param {string} modelDir Model directory
+ * @param {string} model Model id, e.g. 'Xenova/gte-small'
+ * @returns {string} Path
+ */
+export function modelFolder(modelDir, model) {
+  return path.join(modelDir, ...model.split('/'));
+}
+
+/**
+ * SHA-256 of a file, streamed
+ * @param {string} filePath Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+    return entry.name === MANIFEST_FILE ? [] : [relative];
+  });
+}
+
+/**
+ * Files of a model, relative to its folder with '/' separators, without the manifest
+ * @param {string} modelDir Model directory
+ * @param {string} model Model id
+ * @returns {string[]} Sorted relative paths
+ */
+export function listModelFiles(modelDir, model) {
+  return listFiles(modelFolder(modelDir, model)).sort();
+}
+
+/**
+ * Record the size and checksum of every file of a model
+ * @param {string} modelDir Model directory
+ * @param {string} model Model id
+ * @returns {Promise<Object>} The manifest written
+ */
+export async function writeModelManifest(modelDir, model) {
+  const folder = modelFolder(modelDir, model);
+  const files = {};
+  for (const file of listModelFiles(modelDir, model)) {
+    const filePath = path.join(folder, file);
+    files[file] = { size: fs.statSync(filePath).size, sha256: await sha256File(filePath) };
+  }
+
+  const manifest = { model, createdAt: new Date().toISOString(), files };
+  fs.writeFileSync(path.join(folder, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+function readManifest(folder) {
+  const manifestPath = path.join(folder, MANIFEST_FILE);
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : null;
+}
+
+/**
+ * Quick startup check that a model's files are present. Uses the manifest's
+ * file list and sizes when there is one, the files transformers.js needs otherwise
+ * @param {string} modelDir Model directory
+ * @param {string} model Model id
+ * @returns {string[]} Problems found, empty when the model looks complete
+ */
+export function checkModelFiles(modelDir, model) {
+  const folder = modelFolder(modelDir, model);
+  if (!fs.existsSync(folder)) return [`${folder} does not exist`];
+
+  const manifest = readManifest(folder);
+  const expected = manifest ? Object.entries(manifest.files) : REQUIRED_FILES.map(file => [file, null]);
+
+  return expected.flatMap(([file, entry]) => {
+    const filePath = path.join(folder, file);
+    if (!fs.existsSync(filePath)) return [`missing ${file}`];
+    if (entry && fs.statSync(filePath).size !== entry.size) return [`${file} has the wrong size (truncated copy?)`];
+    return [];
+  });
+}
+
+/**
+ * Compare every file of a model against the checksums in its manifest
+ * @param {string} modelDir Model directory
+ * @param {string} model Model id
+ * @returns {Promise<string[]>} Problems found, empty when every checksum matches
+ */
+export async function verifyModelFiles(modelDir, model) {
+  const folder = modelFolder(modelDir, model);
+  const manifest = fs.existsSync(folder) ? readManifest(folder) : null;
+  if (!manifest) return [`no ${MANIFEST_FILE} in ${folder} - fetch the model first`];
+
+  const problems = checkModelFiles(modelDir, model);
+  if (problems.length > 0) return problems;
+
+  for (const [file, { sha256 }] of Object.entries(manifest.files)) {
+    if (await sha256File(path.join(folder, file)) !== sha256) problems.push(`${file} does not match its checksum`);
+  }
+  return problems;
+}
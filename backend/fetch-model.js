@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { pipeline, env } from '@xenova/transformers';
+import {
+  configureTransformers,
+  listModelFiles,
+  modelFolder,
+  sha256File,
+  verifyModelFiles,
+  writeModelManifest,
+  MANIFEST_FILE
+} from './embedding/modelFiles.js';
+
+// Download the embedding model into a local model directory for offline installs
+// Usage: npm run fetch-model -- [--model <id>] [--dir <path>] [--verify]
+//   --model <id>  model to fetch (default EMBEDDING_MODEL or Xenova/gte-small)
+//   --dir <path>  model directory (default EMBEDDING_MODEL_DIR or backend/models)
+//   --verify      only check the files against their manifest and load the model
+//                 without network access - run this on the air-gapped machine
+// Downloaded files are checked against the checksums the Hugging Face hub
+// publishes before the manifest is written
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config();
+
+function parseArgs(argv) {
+  const options = {
+    model: process.env.EMBEDDING_MODEL || 'Xenova/gte-small',
+    dir: process.env.EMBEDDING_MODEL_DIR || 'models',
+    verify: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--model':
+        options.model = argv[++i];
+        if (!options.model) throw new Error('--model needs a model id');
+        break;
+      case '--dir':
+        options.dir = argv[++i];
+        if (!options.dir) throw new Error('--dir needs a path');
+        break;
+      case '--verify':
+        options.verify = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  options.dir = path.resolve(__dirname, options.dir);
+  return options;
+}
+
+/**
+ * Load the model and embed one sentence, so a broken file fails here and not at startup
+ * @param {string} model Model id
+ * @returns {Promise<number>} Embedding dimension
+ */
+async function probeModel(model) {
+  const embedder = await pipeline('feature-extraction', model);
+  const output = await embedder('dimension probe', { pooling: 'mean', normalize: true });
+  return output.dims[output.dims.length - 1];
+}
+
+/**
+ * Checksum the hub publishes for a file: the SHA-256 of LFS files (the weights)
+ * or the git blob SHA-1 of small files (configs and tokenizer)
+ * @param {string} model Model id
+ * @param {string} file Path inside the model repository
+ * @returns {Promise<Object|null>} { algorithm, digest }, null when the hub sends neither
+ */
+async function remoteChecksum(model, file) {
+  const url = `${env.remoteHost}${model}/resolve/main/${file}`;
+  // Do not follow the redirect to the CDN - the checksum headers are on the hub's response
+  const response = await fetch(url, { method: 'HEAD', redirect: 'manual' });
+  const unquote = value => value?.replace(/^W\//, '').replace(/"/g, '');
+
+  const lfsHash = unquote(response.headers.get('x-linked-etag'));
+  if (lfsHash && /^[0-9a-f]{64}$/.test(lfsHash)) return { algorithm: 'sha256', digest: lfsHash };
+
+  const etag = unquote(response.headers.get('etag'));
+  if (etag && /^[0-9a-f]{40}$/.test(etag)) return { algorithm: 'git-sha1', digest: etag };
+  return null;
+}
+
+function gitBlobSha1(filePath) {
+  const content = fs.readFileSync(filePath);
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+/**
+ * Check every downloaded file against the hub's checksum
+ * @param {string} dir Model directory
+ * @param {string} model Model id
+ * @returns {Promise<string[]>} Problems found
+ */
+async function verifyDownload(dir, model) {
+  const folder = modelFolder(dir, model);
+  const problems = [];
+  for (const file of listModelFiles(dir, model)) {
+    const filePath = path.join(folder, file);
+    const expected = await remoteChecksum(model, file);
+    if (!expected) {
+      console.warn(`  ${file}: the hub published no checksum - skipped`);
+      continue;
+    }
+    const actual = expected.algorithm === 'sha256' ? await sha256File(filePath) : gitBlobSha1(filePath);
+    if (actual !== expected.digest) {
+      problems.push(`${file} does not match the hub's ${expected.algorithm} checksum`);
+    } else {
+      console.log(`  ${file}: ${expected.algorithm} ok`);
+    }
+  }
+  return problems;
+}
+
+async function fetchModel({ model, dir }) {
+  console.log(`Fetching ${model} into ${dir}...`);
+  // transformers.js caches downloads as <cacheDir>/<model>/<file>, the layout it reads offline
+  env.cacheDir = dir;
+  env.allowLocalModels = false;
+  env.allowRemoteModels = true;
+
+  const dimension = await probeModel(model);
+  console.log(`Model loaded (dimension ${dimension}), checking files against the hub...`);
+
+  const problems = await verifyDownload(dir, model);
+  if (problems.length > 0) {
+    throw new Error(`Download is corrupt: ${problems.join('; ')} - delete ${modelFolder(dir, model)} and fetch again`);
+  }
+
+  const manifest = await writeModelManifest(dir, model);
+  console.log(`Wrote ${MANIFEST_FILE} for ${Object.keys(manifest.files).length} files`);
+  console.log(`Set EMBEDDING_MODEL_DIR=${dir} to load ${model} without network access`);
+}
+
+async function verifyModel({ model, dir }) {
+  console.log(`Verifying ${model} in ${dir}...`);
+  const problems = await verifyModelFiles(dir, model);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  // Load exactly the way the server does, with downloads disabled
+  configureTransformers(env, { modelDir: dir });
+  const dimension = await probeModel(model);
+  console.log(`All checksums match and the model loads offline (dimension ${dimension})`);
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.verify) {
+    await verifyModel(options);
+  } else {
+    await fetchModel(options);
+  }
+}
+
+run().catch(error => {
+  console.error(`Model fetch failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,19 +1,37 @@
 import express from 'express';
 import cors from 'cors';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
-import { pipeline } from "@xenova/transformers";
+import { pipeline, env, AutoTokenizer } from "@xenova/transformers";
 import Papa from 'papaparse';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import { HNSWVectorStore } from './vectorstore/hnswStore.js'; // You'll need to implement this
-import { env } from '@xenova/transformers';
-
-// Set debug mode
-env.debug = true;
+import { loadCheckpoint, writeCheckpoint, backupCheckpointPath } from './vectorstore/buildCheckpoint.js';
+import { EmbeddingPool, embeddingRows } from './embedding/embeddingPool.js';
+import { EmbeddingCache } from './embedding/embeddingCache.js';
+import { configureTransformers, checkModelFiles } from './embedding/modelFiles.js';
+import { DocumentTextBuilder, createWordTokenCounter, loadDocumentTemplate } from './embedding/documentText.js';
+import { detectIntent, extractAsins } from './analytics/queryIntent.js';
+import { runAnalyticsQuery } from './analytics/productAnalytics.js';
+import { createLLMProvider, TemplateProvider } from './llm/providers.js';
+import { generateAnswer, streamAnswer } from './llm/answerGenerator.js';
+import { resolveFollowUp, normalizeHistory, conversationAsins } from './chat/followUp.js';
+import { parseSearchFilters } from './search/productFilters.js';
+import { retrieveProducts, SEARCH_MODES } from './search/hybridRetriever.js';
+import { parseProductFields, attachProducts, loadProducts, PRODUCT_FIELD_SETS } from './search/productRecords.js';
+import { resolveSnapshotDate, setupSnapshotTable, insertSnapshots, getSnapshots } from './ingest/snapshots.js';
+import { rowHistorySnapshots, productHistorySnapshots, readHistorySidecar, checkHistorySidecar } from './ingest/keepaHistory.js';
+import { keepaStatColumnTypes } from './ingest/keepaColumns.js';
+import { loadMappingProfiles, detectMappingProfile, mapRow } from './ingest/columnMapping.js';
+import { receiveCsvUpload, removeStaleUploads } from './ingest/uploads.js';
+import { setupImportLedger, checkImport, recordImport, findDeletedImports, retireImport } from './ingest/importLedger.js';
+import { ValueParser } from './ingest/valueParser.js';
+import { openJobQueue, JobCancelledError, JOB_STATUSES, detachedJobContext, describeJobProgress } from './jobs/jobQueue.js';
 
 // File path setup
 const __filename = fileURLToPath(import.meta.url);
@@ -24,17 +42,65 @@ dotenv.config();
 
 // Configuration
 const CSV_DIR = path.join(__dirname, '..', 'csv');
+// Keepa API product histories in csv/ that are decoded into snapshots - other JSON files are left alone
+const HISTORY_SIDECAR_EXTENSION = '.history.json';
 const VECTOR_STORE_PATH = path.join(__dirname, 'vectorstore');
 const DB_PATH = path.join(__dirname, 'database', 'product_data.db');
 const DB_DIR = path.dirname(DB_PATH);
+// Jobs and the embedding cache live in their own files: an import holds a transaction
+// (and SQLite's write lock) on the product database for its whole run, and must not
+// take job rows or cached embeddings with it, nor keep searches from writing the cache
+const JOBS_DB_PATH = path.join(DB_DIR, 'jobs.db');
+const EMBEDDING_CACHE_DB_PATH = path.join(DB_DIR, 'embedding_cache.db');
 const BATCH_SIZE = 100;
-const EMBEDDING_BATCH_SIZE = 10; // 🔁 Increased for better throughput
-const ESSENTIAL_FIELDS = [
-  'ASIN', 'asin', 'Title', 'title', 'Brand', 'brand',
-  'Description & Features: Description', 'Description & Features: Short Description',
-  'Buy Box 🚚: Current', 'Sales Rank: Current',
-  'Reviews: Rating', 'Reviews: Review Count'
-];
+// Force the decimal separator of numeric Keepa cells ('.' or ','); detected per value when unset
+const KEEPA_DECIMAL_SEPARATOR = process.env.KEEPA_DECIMAL_SEPARATOR || null;
+// Delete products that only came from CSV files which have since been removed from csv/
+const RETIRE_DELETED_IMPORTS = process.env.RETIRE_DELETED_IMPORTS === 'true';
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_MB || '500', 10) * 1024 * 1024;
+// Texts per model call - larger batches embed faster but need more memory
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '32', 10);
+// Any feature-extraction model transformers.js can load; its dimension is detected at startup
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/gte-small';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+// Directory of pre-fetched models (npm run fetch-model) - when set, nothing is downloaded
+const EMBEDDING_MODEL_DIR = process.env.EMBEDDING_MODEL_DIR ? path.resolve(__dirname, process.env.EMBEDDING_MODEL_DIR) : null;
+// transformers.js and its workers share these settings
+const TRANSFORMERS_OPTIONS = { modelDir: EMBEDDING_MODEL_DIR, debug: process.env.TRANSFORMERS_DEBUG === 'true' };
+// Worker threads running the embedding model, each with its own copy; 0 embeds on the main thread
+const EMBEDDING_WORKERS = parseInt(process.env.EMBEDDING_WORKERS ?? String(Math.max(1, Math.min(4, os.cpus().length - 1))), 10);
+// Workers an index build or sync may keep busy at once - the others stay free for search queries
+const EMBEDDING_BUILD_CONCURRENCY = parseInt(process.env.EMBEDDING_BUILD_CONCURRENCY || String(Math.max(1, EMBEDDING_WORKERS - 1)), 10);
+// Template file for the text embedded per product (relative to backend/); unset uses the built-in template
+const EMBEDDING_DOCUMENT_TEMPLATE = process.env.EMBEDDING_DOCUMENT_TEMPLATE ? path.resolve(__dirname, process.env.EMBEDDING_DOCUMENT_TEMPLATE) : null;
+// Tokens per embedded document - capped at what the model accepts
+const EMBEDDING_MAX_TOKENS = parseInt(process.env.EMBEDDING_MAX_TOKENS || '256', 10);
+// Documents a long description may be split into, all mapping to the same ASIN; 1 truncates instead
+const EMBEDDING_DESCRIPTION_CHUNKS = parseInt(process.env.EMBEDDING_DESCRIPTION_CHUNKS || '1', 10);
+const MAX_SEARCH_RESULTS = 100;
+// Product fields sent with chat results - the chat UI's cards show the description too
+const CHAT_PRODUCT_FIELDS = [...PRODUCT_FIELD_SETS.summary, 'description'];
+// Every products column, in table order - new columns are appended here and migrated on startup
+const PRODUCT_COLUMN_TYPES = {
+  asin: 'TEXT PRIMARY KEY',
+  title: 'TEXT',
+  brand: 'TEXT',
+  description: 'TEXT',
+  price: 'REAL',
+  sales_rank: 'INTEGER',
+  review_rating: 'REAL',
+  review_count: 'INTEGER',
+  raw_data: 'TEXT',
+  category: 'TEXT',
+  category_path: 'TEXT',
+  model: 'TEXT',
+  snapshot_at: 'TEXT',
+  // Keepa price and sales rank statistics (30/90/180-day averages, lows and highs, drops)
+  ...keepaStatColumnTypes()
+};
+
+// Local model directory and debug output, before anything loads a model
+configureTransformers(env, TRANSFORMERS_OPTIONS);
 
 // Express setup
 const app = express();
@@ -45,34 +111,83 @@ app.use(express.json());
 let csvMetadata = {};
 let vectorStore = null;
 let db = null;
-let embedder = null;
+let embedder = null; // Main-thread pipeline, only used when EMBEDDING_WORKERS is 0
+let embeddingPool = null;
+let embeddingCache = null;
+let embeddingDimension = null; // Detected from a probe embedding once the model is loaded
+let documentBuilder = null; // Renders product documents, sized with the model's tokenizer
+let llmProvider = null;
 let isVectorStoreInitializing = false;
+let jobQueue = null; // Imports and index builds, one at a time
 
 // ✅ Set up basic routes first - before any complex initialization
 function setupBasicRoutes() {
   // Health check endpoint that doesn't depend on the vector store
   app.get('/api/health', (req, res) => {
+    const activeJob = jobQueue?.current() || null;
+    // While the index is being loaded or built, report how far it got
+    const indexProgress = activeJob?.type === 'vector-index' ? describeJobProgress(activeJob) : null;
+
     res.json({
       status: 'healthy',
       version: '1.0.0',
       services: {
         database: db ? 'connected' : 'not connected',
-        vectorStore: vectorStore ? (vectorStore.initialized ? 'ready' : 'initializing') : 'not started',
+        vectorStore: indexProgress || (vectorStore ? (vectorStore.initialized ? 'ready' : 'initializing') : 'not started'),
         vectorStoreInitializing: isVectorStoreInitializing,
-        model: embedder ? 'loaded' : 'not loaded'
+        model: embeddingPool ? `loaded in ${embeddingPool.stats.size} workers` : embedder ? 'loaded' : 'not loaded',
+        embeddingWorkers: embeddingPool ? embeddingPool.stats : null,
+        llm: llmProvider ? llmProvider.name : 'not configured'
+      },
+      progress: activeJob ? `${activeJob.label}: ${describeJobProgress(activeJob)}` : null,
+      jobs: {
+        running: activeJob,
+        queued: jobQueue?.pendingCount || 0
       }
     });
   });
 
-  // Vector search stub endpoint - returns a meaningful error when not ready
+  // Vector search stub endpoint - returns a meaningful error when not ready.
+  // Body: { query, k, mode: 'vector' | 'lexical' | 'hybrid',
+  //         filters: { brand, category, minPrice, maxPrice, minRating, minReviews, maxSalesRank, minRankDrops } }
   app.post('/api/vectorsearch', async (req, res) => {
     const query = req.body.query || req.body.question;
     if (!query || typeof query !== 'string') {
       return res.status(400).json({ error: 'Missing search query' });
     }
 
+    const k = req.body.k === undefined ? 10 : parseInt(req.body.k, 10);
+    if (!Number.isInteger(k) || k < 1 || k > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ error: `k must be an integer between 1 and ${MAX_SEARCH_RESULTS}` });
+    }
+
+    const mode = req.body.mode || 'hybrid';
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${SEARCH_MODES.join(', ')}` });
+    }
+
+    const { filters, errors } = parseSearchFilters(req.body.filters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    const { fields, errors: fieldErrors } = parseProductFields(req.body.fields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fields', details: fieldErrors });
+    }
+
+    // Lexical search only needs the database
+    if (mode === 'lexical' && !db) {
+      return res.status(503).json({
+        error: 'Database is still initializing',
+        status: 'initializing',
+        retryAfter: 10,
+        query: query
+      });
+    }
+
     // If vector store isn't ready, return a clear initialization status
-    if (!vectorStore || !vectorStore.initialized) {
+    if (mode !== 'lexical' && (!vectorStore || !vectorStore.initialized)) {
       return res.status(503).json({ 
         error: 'Vector store is still initializing',
         status: 'initializing',
@@ -83,11 +198,14 @@ function setupBasicRoutes() {
 
     // Actual search logic (will only execute if vector store is ready)
     try {
-      const results = await vectorStore.similaritySearch(query, 10); // Top 10 results
+      const results = await retrieveProducts({ db, vectorStore, query, k, mode, filters, fields });
       
       res.json({ 
         results,
         query: query,
+        mode,
+        filters,
+        fields,
         status: 'success',
         count: results.length
       });
@@ -100,134 +218,498 @@ function setupBasicRoutes() {
       });
     }
   });
+
+  // Chat endpoint - retrieves with SQL analytics or semantic search, then generates a grounded answer.
+  // With { stream: true } the answer is sent as NDJSON events: meta, token..., done (or error)
+  app.post('/api/chat', async (req, res) => {
+    const query = req.body.query || req.body.question;
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'Missing search query' });
+    }
+
+    const stream = req.body.stream === true;
+    const history = normalizeHistory(req.body.history);
+
+    try {
+      // Resolve "the second one" / "those" / "that brand" against the previous answer
+      const followUp = await resolveFollowUp(query, history, { lookupBrand: lookupProductBrand });
+      const resolvedQuery = followUp.question;
+      const intent = detectIntent(resolvedQuery);
+      intent.scope = followUp.scope;
+
+      let results;
+      let analyticsAnswer = null;
+
+      if (intent.analytical) {
+        if (!db) {
+          return res.status(503).json({
+            error: 'Database is still initializing',
+            status: 'initializing',
+            retryAfter: 10,
+            query: query
+          });
+        }
+
+        ({ answer: analyticsAnswer, results } = await runAnalyticsQuery(db, intent));
+        results = await attachProducts(db, results, CHAT_PRODUCT_FIELDS);
+      } else {
+        const vectorStoreReady = Boolean(vectorStore && vectorStore.initialized);
+        if (!vectorStoreReady && !db) {
+          return res.status(503).json({
+            error: 'Vector store is still initializing',
+            status: 'initializing',
+            retryAfter: 10,
+            query: query
+          });
+        }
+
+        // Full-text search alone keeps chat usable while the vector store is still building
+        results = await retrieveProducts({
+          db,
+          vectorStore,
+          query: resolvedQuery,
+          k: 10,
+          mode: vectorStoreReady ? 'hybrid' : 'lexical',
+          filters: intent.scope,
+          fields: CHAT_PRODUCT_FIELDS
+        });
+      }
+
+      const chat = { query, resolvedQuery, intent, results, analyticsAnswer, history };
+      if (stream) {
+        return await streamChatResponse(req, res, chat);
+      }
+
+      const { answer, citations, provider } = await generateAnswer(llmProvider, {
+        question: resolvedQuery,
+        documents: results,
+        analyticsAnswer,
+        history
+      });
+
+      res.json({
+        answer,
+        citations,
+        provider,
+        intent,
+        results,
+        asins: conversationAsins(citations, results),
+        query: query,
+        resolvedQuery,
+        status: 'success',
+        count: results.length
+      });
+    } catch (error) {
+      console.error('Chat error:', error);
+      res.status(500).json({
+        error: 'Chat request failed',
+        message: error.message,
+        status: 'error'
+      });
+    }
+  });
+
+  // Upload a Keepa CSV as multipart/form-data (field "file"); the import runs
+  // as a background job followed through GET /api/imports/:id or /api/jobs/:id
+  app.post('/api/imports', requireJobQueue, async (req, res) => {
+    try {
+      const upload = await receiveCsvUpload(req, CSV_DIR, {
+        maxBytes: MAX_UPLOAD_BYTES,
+        // A queued or running job may still read a file under this name
+        isReserved: (filename) => jobQueue.active().some(job => job.details?.filename === filename)
+      });
+      const job = await jobQueue.enqueue(
+        'import',
+        `Import ${upload.filename}`,
+        (context) => runUploadImport(upload, context),
+        { filename: upload.filename, size: upload.size }
+      );
+      console.log(`Received upload ${upload.filename} (${upload.size} bytes) as import job ${job.id}`);
+
+      res.status(202).json({ jobId: job.id, job });
+    } catch (error) {
+      console.error(`Upload error: ${error.message}`);
+      res.status(error.status || 500).json({
+        error: error.message,
+        status: 'error'
+      });
+    }
+  });
+
+  app.get('/api/imports', requireJobQueue, async (req, res) => {
+    try {
+      res.json({ jobs: await jobQueue.list({ type: 'import' }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
+
+  app.get('/api/imports/:id', requireJobQueue, async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.id);
+      if (!job || job.type !== 'import') {
+        return res.status(404).json({ error: 'Import job not found', status: 'error' });
+      }
+      res.json({ job });
+    } catch (error) {
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
+
+  // Background jobs, newest first. Query: ?status=running&type=import&limit=20
+  app.get('/api/jobs', requireJobQueue, async (req, res) => {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Unknown job status. Use one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+      res.json({
+        jobs: await jobQueue.list({ limit, status, type }),
+        running: jobQueue.current(),
+        queued: jobQueue.pendingCount
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
+
+  app.get('/api/jobs/:id', requireJobQueue, async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found', status: 'error' });
+      }
+      res.json({ job });
+    } catch (error) {
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
+
+  // A queued job is dropped; a running job stops at its next checkpoint and
+  // rolls back (imports) or keeps what it embedded so far (index builds)
+  app.post('/api/jobs/:id/cancel', requireJobQueue, async (req, res) => {
+    try {
+      const job = await jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found', status: 'error' });
+      }
+      if (job.status !== 'queued' && job.status !== 'running') {
+        return res.status(409).json({ error: `Job already ${job.status}`, job });
+      }
+      res.json({ job: await jobQueue.cancel(job.id) });
+    } catch (error) {
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
+
+  // One product: the typed record, every CSV value kept for it (raw_data) and its snapshot history
+  app.get('/api/products/:asin', async (req, res) => {
+    const [asin] = extractAsins(req.params.asin);
+    if (!asin || asin.length !== req.params.asin.length) {
+      return res.status(400).json({ error: 'Not a valid ASIN', status: 'error' });
+    }
+    if (!db) {
+      return res.status(503).json({ error: 'Database is still initializing', status: 'initializing', retryAfter: 10 });
+    }
+
+    try {
+      const product = (await loadProducts(db, [asin], PRODUCT_FIELD_SETS.full)).get(asin);
+      if (!product) {
+        return res.status(404).json({ error: `Product ${asin} not found`, status: 'error' });
+      }
+
+      const row = await db.get('SELECT raw_data FROM products WHERE asin = ?', [asin]);
+      let raw = null;
+      try {
+        raw = row.raw_data ? JSON.parse(row.raw_data) : null;
+      } catch (error) {
+        console.warn(`Unparseable raw_data for ${asin}: ${error.message}`);
+      }
+
+      res.json({ product, raw, snapshots: await getSnapshots(db, asin) });
+    } catch (error) {
+      console.error('Product lookup error:', error);
+      res.status(500).json({ error: error.message, status: 'error' });
+    }
+  });
 }
 
-// Initialize embedder model
-async function initEmbeddingModel() {
-  console.log('Starting model download...');
+/**
+ * Answer 503 until the database, and with it the job queue, is available
+ */
+function requireJobQueue(req, res, next) {
+  if (!jobQueue) {
+    return res.status(503).json({
+      error: 'Database is still initializing',
+      status: 'initializing',
+      retryAfter: 10
+    });
+  }
+  next();
+}
+
+/**
+ * Job body of an uploaded file: analyze, import and embed it
+ * @param {Object} upload { filename, path, size } from receiveCsvUpload()
+ * @param {Object} job Job run context
+ * @returns {Promise<Object>} Job result - importCSVFile()'s result plus the vector sync counts
+ */
+async function runUploadImport(upload, job) {
+  job.progress({ stage: 'analyzing' });
+  const metadata = await analyzeCSVFile(upload.filename, loadMappingProfiles());
+  if (!metadata.mapping) {
+    // Don't leave a file in csv/ that every startup would skip again
+    fs.rmSync(metadata.path, { force: true });
+    delete csvMetadata[upload.filename];
+    throw new Error('No mapping profile matches the file headers (no ASIN column found)');
+  }
+  job.details({ profile: metadata.profile, missingEssential: metadata.missingEssential });
+
+  let result;
   try {
-    // Load a local embedding model
-    embedder = await pipeline("feature-extraction", "Xenova/gte-small");
-    console.log("Embedding model loaded successfully", embedder);
-    return true;
+    result = await importCSVFile(upload.filename, metadata, job);
   } catch (error) {
-    console.error(`Failed to load embedding model: ${error.message}`);
-    return false;
+    // A cancelled upload is discarded rather than imported on the next startup
+    if (error instanceof JobCancelledError) {
+      fs.rmSync(metadata.path, { force: true });
+      delete csvMetadata[upload.filename];
+    }
+    throw error;
   }
+  if (result.skipped) return result;
+
+  // Embed the new products now if the index is loaded; otherwise the
+  // vector index job picks them up when it loads the index
+  if (vectorStore?.initialized) {
+    result.vectorSync = await syncVectorStore(undefined, job);
+  } else {
+    job.details({ embeddingPending: true });
+  }
+  return result;
 }
 
-// Function to generate embeddings
-async function generateEmbedding(text) {
+/**
+ * Stream a chat answer as newline-delimited JSON events
+ * The model call is aborted as soon as the client disconnects
+ */
+async function streamChatResponse(req, res, { query, resolvedQuery, intent, results, analyticsAnswer, history }) {
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const writeEvent = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  writeEvent({ type: 'meta', intent, results, query: query, resolvedQuery, count: results.length });
+
   try {
-    if (!text || typeof text !== 'string') {
-      console.warn('Invalid input for embedding generation:', text);
-      return null;
+    const { answer, citations, provider } = await streamAnswer(llmProvider, {
+      question: resolvedQuery,
+      documents: results,
+      analyticsAnswer,
+      history
+    }, {
+      signal: controller.signal,
+      onToken: (text) => writeEvent({ type: 'token', text })
+    });
+
+    if (!controller.signal.aborted) {
+      writeEvent({ type: 'done', answer, citations, provider, asins: conversationAsins(citations, results) });
     }
-    
-    // Ensure we have meaningful text to embed (at least 3 chars)
-    const trimmedText = text.trim();
-    if (trimmedText.length < 3) {
-      console.warn('Text too short for embedding generation');
-      return null;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Chat stream cancelled by client');
+    } else {
+      console.error('Chat stream error:', error);
+      writeEvent({ type: 'error', error: error.message });
     }
-    
-    console.log(`Generating embedding for text (${trimmedText.length} chars)...`);
-    
-    const output = await embedder(trimmedText, {
-      pooling: "mean",
-      normalize: true,
-    });
-    
-    // Debug log to understand the structure
-    console.log("Embedding output type:", typeof output);
-    console.log("Embedding output structure:", 
-      output ? 
-      Object.keys(output).map(key => `${key}: ${typeof output[key]}`) : 
-      'null');
-    
-    // Get the embedding data array
-    let embeddingArray = null;
-    
-    if (output && output.data) {
-      // For some models, output.data is already an array
-      if (Array.isArray(output.data)) {
-        embeddingArray = output.data;
-      } 
-      // For typed arrays
-      else if (output.data.buffer instanceof ArrayBuffer) {
-        embeddingArray = Array.from(output.data);
-      }
-      // For tensor-like objects
-      else if (typeof output.data === 'object') {
-        embeddingArray = Array.from(Object.values(output.data));
+  }
+
+  res.end();
+}
+
+/**
+ * Brand of a product, used to resolve "that brand" in follow-up questions
+ * @param {string} asin Product ASIN
+ * @returns {Promise<string|null>} Brand or null when unknown
+ */
+async function lookupProductBrand(asin) {
+  if (!db || !asin) return null;
+  const row = await db.get('SELECT brand FROM products WHERE asin = ?', [asin]);
+  return row?.brand || null;
+}
+
+// Initialize embedder model
+async function initEmbeddingModel() {
+  try {
+    if (EMBEDDING_MODEL_DIR) {
+      // Fail with the fix instead of transformers.js's generic "could not locate file"
+      const problems = checkModelFiles(EMBEDDING_MODEL_DIR, EMBEDDING_MODEL);
+      if (problems.length > 0) {
+        throw new Error(`${EMBEDDING_MODEL} is not available in ${EMBEDDING_MODEL_DIR} (${problems.join('; ')}) - ` +
+          'run "npm run fetch-model" in backend/ on a machine with network access and copy the directory over');
       }
+      console.log(`Loading ${EMBEDDING_MODEL} from ${EMBEDDING_MODEL_DIR} (remote models disabled)...`);
+    } else {
+      console.log(`Starting model download (${EMBEDDING_MODEL})...`);
     }
-    
-    // For direct Float32Array result
-    else if (output && output.buffer instanceof ArrayBuffer) {
-      embeddingArray = Array.from(output);
-    }
-    // For direct array result
-    else if (Array.isArray(output)) {
-      embeddingArray = output;
-    }
-    // Last resort - examine the object for embeddings
-    else if (output) {
-      // Look for any array property that might contain embeddings
-      for (const key of Object.keys(output)) {
-        const value = output[key];
-        if (Array.isArray(value) && value.length > 0 && 
-            typeof value[0] === 'number') {
-          embeddingArray = value;
-          break;
-        }
-        
-        // Check second level properties
-        if (value && typeof value === 'object') {
-          for (const subKey of Object.keys(value)) {
-            const subValue = value[subKey];
-            if (Array.isArray(subValue) && subValue.length > 0 && 
-                typeof subValue[0] === 'number') {
-              embeddingArray = subValue;
-              break;
-            }
-          }
-          if (embeddingArray) break;
-        }
+
+    if (EMBEDDING_WORKERS > 0) {
+      const pool = new EmbeddingPool({
+        size: EMBEDDING_WORKERS,
+        model: EMBEDDING_MODEL,
+        bulkConcurrency: EMBEDDING_BUILD_CONCURRENCY,
+        transformersOptions: TRANSFORMERS_OPTIONS
+      });
+      try {
+        await pool.start();
+      } catch (error) {
+        await pool.close();
+        throw error;
       }
+      embeddingPool = pool;
+    } else {
+      // Load a local embedding model
+      embedder = await pipeline("feature-extraction", EMBEDDING_MODEL);
+      console.log("Embedding model loaded successfully", embedder);
     }
-    
-    // Validate the embedding array
-    if (!embeddingArray || !Array.isArray(embeddingArray)) {
-      console.error("Failed to extract embedding array from model output");
-      console.error("Output dump:", JSON.stringify(output).slice(0, 200) + "...");
-      return null;
+
+    // The index is sized from what the model actually produces
+    const [probe] = await runEmbeddingModel(['dimension probe'], { urgent: true });
+    embeddingDimension = probe.length;
+    console.log(`Embedding model ${EMBEDDING_MODEL} produces ${embeddingDimension}-dimensional vectors`);
+
+    documentBuilder = await createDocumentBuilder();
+    return true;
+  } catch (error) {
+    console.error(`Failed to load embedding model: ${error.message}`);
+    await embeddingPool?.close();
+    embeddingPool = null;
+    embedder = null;
+    return false;
+  }
+}
+
+/**
+ * Set up document rendering with the configured template and the model's
+ * tokenizer, so documents are cut at a token count rather than a character count
+ * @returns {Promise<DocumentTextBuilder>} Builder
+ */
+async function createDocumentBuilder() {
+  const template = loadDocumentTemplate(EMBEDDING_DOCUMENT_TEMPLATE);
+
+  let tokenizer = embedder?.tokenizer || null;
+  if (!tokenizer) {
+    try {
+      tokenizer = await AutoTokenizer.from_pretrained(EMBEDDING_MODEL);
+    } catch (error) {
+      console.warn(`Could not load the ${EMBEDDING_MODEL} tokenizer (${error.message}) - estimating token counts`);
     }
-    
-    // Check if we have numerical values
-    if (embeddingArray.length === 0 || typeof embeddingArray[0] !== 'number') {
-      console.error("Embedding array doesn't contain numerical values");
-      return null;
+  }
+
+  // Leave room for the [CLS] and [SEP] tokens the model adds
+  const modelLimit = tokenizer?.model_max_length ? tokenizer.model_max_length - 2 : Infinity;
+  const maxTokens = Math.min(EMBEDDING_MAX_TOKENS, modelLimit);
+  console.log(`Product documents: ${EMBEDDING_DOCUMENT_TEMPLATE || 'default template'}, up to ${maxTokens} tokens` +
+    (EMBEDDING_DESCRIPTION_CHUNKS > 1 ? `, descriptions split into up to ${EMBEDDING_DESCRIPTION_CHUNKS} chunks` : ''));
+
+  return new DocumentTextBuilder({
+    template,
+    countWordTokens: createWordTokenCounter(tokenizer),
+    maxTokens,
+    maxChunks: EMBEDDING_DESCRIPTION_CHUNKS
+  });
+}
+
+/**
+ * Run the model on a batch of texts, bypassing the cache
+ * @param {string[]} texts Non-empty texts
+ * @param {Object} options { urgent }
+ * @returns {Promise<Array<number[]>>} Embeddings in input order
+ */
+async function runEmbeddingModel(texts, { urgent = false } = {}) {
+  if (embeddingPool) return embeddingPool.embed(texts, { urgent });
+  return embeddingRows(await embedder(texts, { pooling: "mean", normalize: true }), texts.length);
+}
+
+/**
+ * Embed a batch of texts with a single model call, in a worker when the pool
+ * is running. Texts found in the embedding cache skip the model
+ * @param {string[]} texts Texts to embed
+ * @param {Object} options { urgent } - urgent batches (search queries) skip ahead of index builds
+ * @returns {Promise<Array>} One embedding per text, null where the text is too short or the batch failed
+ */
+async function generateEmbeddings(texts, { urgent = false } = {}) {
+  const embeddings = new Array(texts.length).fill(null);
+  const inputs = [];
+  const positions = [];
+
+  texts.forEach((text, i) => {
+    // Ensure we have meaningful text to embed (at least 3 chars)
+    const trimmedText = typeof text === 'string' ? text.trim() : '';
+    if (trimmedText.length < 3) return;
+    inputs.push(trimmedText);
+    positions.push(i);
+  });
+  if (inputs.length === 0) return embeddings;
+
+  let results = new Array(inputs.length).fill(null);
+  if (embeddingCache) {
+    try {
+      results = await embeddingCache.getMany(inputs);
+    } catch (error) {
+      console.warn(`Embedding cache lookup failed: ${error.message}`);
     }
-    
-    console.log(`Successfully generated embedding vector of length ${embeddingArray.length}`);
-    return embeddingArray;
-    
-  } catch (error) {
-    console.error(`Embedding error: ${error.message}`);
-    console.error(`Error stack:`, error.stack);
+  }
+
+  const missing = results.map((embedding, j) => (embedding ? null : j)).filter(j => j !== null);
+  if (missing.length > 0) {
+    const texts = missing.map(j => inputs[j]);
+    try {
+      const rows = await runEmbeddingModel(texts, { urgent });
+      rows.forEach((embedding, k) => {
+        results[missing[k]] = embedding;
+      });
+      await embeddingCache?.putMany(texts, rows)
+        .catch(error => console.warn(`Embedding cache write failed: ${error.message}`));
+    } catch (error) {
+      console.error(`Embedding error for a batch of ${texts.length} texts: ${error.message}`);
+    }
+  }
+
+  results.forEach((embedding, j) => {
+    embeddings[positions[j]] = embedding;
+  });
+  return embeddings;
+}
+
+// Function to generate the embedding of a single text, e.g. a search query
+async function generateEmbedding(text) {
+  if (!text || typeof text !== 'string') {
+    console.warn('Invalid input for embedding generation:', text);
     return null;
   }
+
+  const [embedding] = await generateEmbeddings([text], { urgent: true });
+  return embedding;
 }
+
 // Helper function to normalize row data
-function normalizeRow(row) {
+function normalizeRow(row, mappedHeaders) {
   const normalizedRow = {};
   for (const [key, value] of Object.entries(row)) {
     if (!value) continue;
     const trimmedKey = key.trim();
     const valueStr = value.toString().trim();
     
-    if (ESSENTIAL_FIELDS.some(field => field === trimmedKey) || 
+    if (mappedHeaders.has(key) || 
         (valueStr.length < 500 && trimmedKey.includes('Feature'))) {
       normalizedRow[trimmedKey] = valueStr;
     }
@@ -247,20 +729,38 @@ async function setupDatabase() {
       driver: sqlite3.Database
     });
 
+    const columnDefinitions = Object.entries(PRODUCT_COLUMN_TYPES)
+      .map(([column, type]) => `${column} ${type}`)
+      .join(',\n        ');
+
     await db.exec(`
       CREATE TABLE IF NOT EXISTS products (
-        asin TEXT PRIMARY KEY,
-        title TEXT,
-        brand TEXT,
-        description TEXT,
-        price REAL,
-        sales_rank INTEGER,
-        review_rating REAL,
-        review_count INTEGER,
-        raw_data TEXT
+        ${columnDefinitions}
       );
       CREATE INDEX IF NOT EXISTS idx_products_title ON products(title);
     `);
+
+    // Databases created before a column existed get it added in place
+    await addMissingColumns('products', PRODUCT_COLUMN_TYPES);
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_products_brand ON products(brand COLLATE NOCASE);
+      CREATE INDEX IF NOT EXISTS idx_products_category ON products(category COLLATE NOCASE);
+    `);
+
+    await setupFullTextIndex();
+    await setupSnapshotTable(db);
+    await setupImportLedger(db);
+
+    jobQueue = await openJobQueue(JOBS_DB_PATH);
+    await moveJobHistory(jobQueue.db);
+
+    const cacheDb = await open({
+      filename: EMBEDDING_CACHE_DB_PATH,
+      driver: sqlite3.Database
+    });
+    embeddingCache = new EmbeddingCache(cacheDb, { model: EMBEDDING_MODEL });
+    await embeddingCache.setup();
+    await moveEmbeddingCache(cacheDb);
     
     return true;
   } catch (error) {
@@ -269,21 +769,130 @@ async function setupDatabase() {
   }
 }
 
+/**
+ * Create the FTS5 index over products, kept in sync by triggers
+ * An index created next to an already populated products table is rebuilt once
+ */
+async function setupFullTextIndex() {
+  const existing = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'products_fts'`);
+
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+      asin, title, brand, model, description,
+      content='products', content_rowid='rowid', tokenize='unicode61'
+    );
+    CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts(rowid, asin, title, brand, model, description)
+      VALUES (new.rowid, new.asin, new.title, new.brand, new.model, new.description);
+    END;
+    CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+      INSERT INTO products_fts(products_fts, rowid, asin, title, brand, model, description)
+      VALUES ('delete', old.rowid, old.asin, old.title, old.brand, old.model, old.description);
+    END;
+    CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE ON products BEGIN
+      INSERT INTO products_fts(products_fts, rowid, asin, title, brand, model, description)
+      VALUES ('delete', old.rowid, old.asin, old.title, old.brand, old.model, old.description);
+      INSERT INTO products_fts(rowid, asin, title, brand, model, description)
+      VALUES (new.rowid, new.asin, new.title, new.brand, new.model, new.description);
+    END;
+  `);
+
+  if (!existing) {
+    console.log('Building full-text index for existing products...');
+    await db.exec(`INSERT INTO products_fts(products_fts) VALUES ('rebuild')`);
+  }
+}
+
+/**
+ * Move a table that older versions kept in the product database into the
+ * database that now holds it, then drop it from the product database
+ * @param {Object} target Open database the table now lives in
+ * @param {string} table Table name, the same in both databases
+ * @param {string} select SELECT producing the target's rows from product_data.<table>
+ * @param {Array} params Parameters of the SELECT
+ */
+async function moveLegacyTable(target, table, select, params = []) {
+  const legacy = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  if (!legacy) return;
+
+  await target.run('ATTACH DATABASE ? AS product_data', [DB_PATH]);
+  try {
+    const { changes } = await target.run(`INSERT OR IGNORE INTO ${table} ${select}`, params);
+    console.log(`Moved ${changes} ${table} rows out of the product database`);
+  } finally {
+    await target.run('DETACH DATABASE product_data');
+  }
+  await db.exec(`DROP TABLE ${table}`);
+}
+
+/**
+ * Move the job history of databases that kept jobs in the product database
+ * into the jobs database. Jobs the old process left unfinished are closed out
+ * the way JobQueue.setup() closes out its own
+ * @param {Object} jobsDb Open jobs database
+ */
+async function moveJobHistory(jobsDb) {
+  await moveLegacyTable(jobsDb, 'jobs',
+    `SELECT id, type, label,
+       CASE WHEN status IN ('queued', 'running') THEN 'failed' ELSE status END,
+       stage, progress_current, progress_total, message, details, result,
+       CASE WHEN status IN ('queued', 'running') THEN 'Interrupted by a server restart' ELSE error END,
+       created_at, started_at, stage_started_at, COALESCE(finished_at, ?), updated_at
+     FROM product_data.jobs`,
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Move embeddings cached in the product database into the cache database
+ * @param {Object} cacheDb Open embedding cache database
+ */
+async function moveEmbeddingCache(cacheDb) {
+  await moveLegacyTable(cacheDb, 'embedding_cache',
+    `SELECT model, text_hash, dimension, embedding, created_at, last_used_at FROM product_data.embedding_cache`
+  );
+}
+
+/**
+ * Add any columns missing from an existing table
+ * @param {string} table Table name
+ * @param {Object} columnTypes Column name to SQL type
+ */
+async function addMissingColumns(table, columnTypes) {
+  const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+  for (const [column, type] of Object.entries(columnTypes)) {
+    if (!existing.has(column)) {
+      console.log(`Adding column ${table}.${column}`);
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
 // Helper function to insert a batch of products
-async function insertBatch(batch) {
+async function insertBatch(batch, filename) {
+  const columns = Object.keys(PRODUCT_COLUMN_TYPES);
+  // An upsert keeps the rowid stable, which the full-text index triggers rely on.
+  // Importing an older export never overwrites data from a newer one
   const stmt = await db.prepare(`
-    INSERT OR REPLACE INTO products VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO products (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+    ON CONFLICT(asin) DO UPDATE SET
+      ${columns.filter(column => column !== 'asin').map(column => `${column} = excluded.${column}`).join(',\n      ')}
+    WHERE products.snapshot_at IS NULL OR excluded.snapshot_at >= products.snapshot_at
   `);
 
   for (const item of batch) {
-    await stmt.run([
-      item.asin, item.title, item.brand, item.description,
-      item.price, item.sales_rank, item.review_rating,
-      item.review_count, item.raw_data
-    ]);
+    await stmt.run(columns.map(column => item[column] ?? null));
   }
 
   await stmt.finalize();
+
+  // Every export is kept as a dated snapshot so price and rank history accumulates
+  await insertSnapshots(db, batch, filename);
+
+  // Decoded Keepa history columns add a snapshot for every change they record
+  const history = batch.flatMap(item => item.history);
+  if (history.length > 0) await insertSnapshots(db, history, filename);
 }
 
 // Analyze CSV files
@@ -294,14 +903,31 @@ async function analyzeCSVFiles() {
   const files = fs.readdirSync(CSV_DIR).filter(f => f.endsWith('.csv'));
   if (files.length === 0) return;
 
-  const promises = files.map(file => new Promise((resolveFile) => {
+  const profiles = loadMappingProfiles();
+  await Promise.all(files.map(file => analyzeCSVFile(file, profiles)));
+}
+
+/**
+ * Count the rows of one CSV file, detect its mapping profile and keep a few
+ * sample rows, storing the result in csvMetadata
+ * @param {string} file File name in the CSV directory
+ * @param {Array} profiles Mapping profiles from loadMappingProfiles()
+ * @returns {Promise<Object>} The file's csvMetadata entry
+ */
+function analyzeCSVFile(file, profiles) {
+  return new Promise((resolveFile) => {
     const filePath = path.join(CSV_DIR, file);
     csvMetadata[file] = {
       path: filePath,
       recordCount: 0,
       columns: [],
       sampleRows: [],
-      processed: false
+      processed: false,
+      parseErrors: {},
+      profile: null,
+      mapping: null,
+      history: {},
+      missingEssential: []
     };
 
     const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
@@ -313,105 +939,338 @@ async function analyzeCSVFiles() {
       skipEmptyLines: true,
       chunk: function(results) {
         if (!headerProcessed) {
-          csvMetadata[file].columns = Object.keys(results.data[0] || {}).map(key => key.trim());
+          const headers = results.meta.fields || Object.keys(results.data[0] || {});
+          csvMetadata[file].columns = headers.map(key => key.trim());
           headerProcessed = true;
+
+          // Pick the mapping profile that fits this export layout
+          const detected = detectMappingProfile(headers, profiles);
+          if (!detected) {
+            console.warn(`${file}: no mapping profile matches its headers (no ASIN column found) - it will not be imported`);
+          } else {
+            Object.assign(csvMetadata[file], detected);
+            console.log(`${file}: using mapping profile "${detected.profile}"`);
+            if (Object.keys(detected.history).length > 0) {
+              console.log(`${file}: decoding Keepa history columns ${Object.values(detected.history).map(headers => headers[0]).join(', ')}`);
+            }
+            if (detected.missingEssential.length > 0) {
+              console.warn(`${file}: no column found for essential fields ${detected.missingEssential.join(', ')} - they will be imported as empty`);
+            }
+          }
         }
         rowCount += results.data.length;
         if (csvMetadata[file].sampleRows.length < 3) {
-          csvMetadata[file].sampleRows.push(...results.data.slice(0, 3).map(normalizeRow));
+          const mappedHeaders = new Set(Object.values(csvMetadata[file].mapping || {}).flat());
+          csvMetadata[file].sampleRows.push(...results.data.slice(0, 3).map(row => normalizeRow(row, mappedHeaders)));
         }
       },
       complete: function() {
         csvMetadata[file].recordCount = rowCount;
         csvMetadata[file].processed = false;
-        resolveFile();
+        resolveFile(csvMetadata[file]);
       },
       error: function(err) {
         console.error(`Error parsing ${file}: ${err.message}`);
-        resolveFile();
+        resolveFile(csvMetadata[file]);
       }
     });
-  }));
+  });
+}
+
+/**
+ * Import every CSV file the imports ledger has not seen with its current
+ * contents, then deal with ledger entries whose file was deleted. Each file
+ * is its own job, so imports never overlap an upload's transaction
+ */
+async function importCSVFiles() {
+  if (!db || !jobQueue) return;
+  let changed = false;
 
-  await Promise.all(promises);
+  for (const [filename, metadata] of Object.entries(csvMetadata)) {
+    if (metadata.recordCount === 0 || metadata.processed || !metadata.mapping) continue;
+
+    const job = await jobQueue.enqueueAndWait(
+      'import',
+      `Import ${filename}`,
+      (context) => importCSVFile(filename, metadata, context),
+      { filename }
+    );
+    if (job.status === 'completed') {
+      changed = changed || !job.result.skipped;
+    } else {
+      console.warn(`CSV import of ${filename} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+    }
+  }
+
+  const presentFiles = fs.existsSync(CSV_DIR)
+    ? fs.readdirSync(CSV_DIR).filter(f => f.endsWith('.csv') || f.endsWith(HISTORY_SIDECAR_EXTENSION))
+    : [];
+
+  // History sidecars only add snapshots, so they never need a vector index sync
+  for (const filename of presentFiles.filter(f => f.endsWith(HISTORY_SIDECAR_EXTENSION))) {
+    const problem = checkHistorySidecar(path.join(CSV_DIR, filename));
+    if (problem) {
+      console.warn(`Skipping ${filename} - ${problem}`);
+      continue;
+    }
+
+    const job = await jobQueue.enqueueAndWait(
+      'import',
+      `Import Keepa history ${filename}`,
+      (context) => importHistorySidecar(filename, context),
+      { filename }
+    );
+    if (job.status !== 'completed') {
+      console.warn(`Keepa history import of ${filename} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+    }
+  }
+
+  for (const entry of await findDeletedImports(db, presentFiles)) {
+    if (!RETIRE_DELETED_IMPORTS) {
+      console.warn(`${entry.filename} was imported at ${entry.imported_at} but is no longer in csv/ - its products are kept (set RETIRE_DELETED_IMPORTS=true to remove them)`);
+      continue;
+    }
+
+    const job = await jobQueue.enqueueAndWait(
+      'retire',
+      `Retire ${entry.filename}`,
+      async () => ({ retired: (await retireImport(db, entry.filename)).length }),
+      { filename: entry.filename }
+    );
+    if (job.status === 'completed') {
+      console.log(`Retired ${job.result.retired} products that only came from deleted file ${entry.filename}`);
+      changed = true;
+    }
+  }
+
+  // A vector store that is already loaded picks up the changes right away;
+  // otherwise setupVectorStore() syncs when it loads the index
+  if (changed && vectorStore?.initialized && !isVectorStoreInitializing) {
+    await jobQueue.enqueueAndWait('vector-index', 'Sync the vector index', (context) => syncVectorStore(undefined, context));
+  }
 }
 
-// Import CSV to database
-async function importCSVToDatabase(filePath, filename) {
+/**
+ * Import one analyzed CSV file unless the imports ledger already has it with
+ * the same contents, and record it in the ledger
+ * @param {string} filename File name in the CSV directory
+ * @param {Object} metadata The file's csvMetadata entry
+ * @param {Object} job Job run context - progress is reported against the analyzed row count
+ * @returns {Promise<Object>} { skipped, rowsImported, rowsRejected, historySnapshots }
+ */
+async function importCSVFile(filename, metadata, job = detachedJobContext()) {
+  job.progress({ stage: 'hashing' });
+  const { hash, size, previous, unchanged } = await checkImport(db, filename, metadata.path);
+
+  if (unchanged) {
+    console.log(`Skipping ${filename} - unchanged since its import at ${previous.imported_at}`);
+    metadata.processed = true;
+    metadata.parseErrors = previous.parse_errors;
+    job.details({ parseErrors: previous.parse_errors });
+    return { skipped: true, rowsImported: previous.row_count, rowsRejected: 0 };
+  }
+
+  console.log(`${previous ? 'Re-importing modified' : 'Importing data from'} ${filename} (profile ${metadata.profile})...`);
+  job.progress({ stage: 'importing', current: 0, total: metadata.recordCount });
+  const { rowsProcessed, rowsRejected, snapshotAt, historySnapshots } = await importCSVToDatabase(metadata.path, filename, metadata.mapping, {
+    history: metadata.history,
+    signal: job.signal,
+    onProgress: (counts) => {
+      job.progress({ current: counts.rowsParsed });
+      job.details(counts);
+    }
+  });
+  job.details({ parseErrors: metadata.parseErrors });
+  await recordImport(db, {
+    filename,
+    hash,
+    size,
+    rowCount: rowsProcessed,
+    profile: metadata.profile,
+    snapshotAt,
+    parseErrors: metadata.parseErrors
+  });
+  metadata.processed = true;
+
+  return { skipped: false, rowsImported: rowsProcessed, rowsRejected, historySnapshots };
+}
+
+/**
+ * Import a JSON sidecar of Keepa API products into the snapshot table unless
+ * the imports ledger already has it with the same contents. A modified
+ * sidecar replaces the snapshots it added before
+ * @param {string} filename File name in the CSV directory
+ * @param {Object} job Job run context - progress is reported per product
+ * @returns {Promise<Object>} { skipped, products, historySnapshots }
+ */
+async function importHistorySidecar(filename, job = detachedJobContext()) {
+  const filePath = path.join(CSV_DIR, filename);
+  job.progress({ stage: 'hashing' });
+  const { hash, size, previous, unchanged } = await checkImport(db, filename, filePath);
+
+  if (unchanged) {
+    console.log(`Skipping ${filename} - unchanged since its import at ${previous.imported_at}`);
+    return { skipped: true, products: previous.row_count, historySnapshots: 0 };
+  }
+
+  const products = readHistorySidecar(filePath);
+  console.log(`${previous ? 'Re-importing modified' : 'Importing'} Keepa history file ${filename} (${products.length} products)...`);
+  job.progress({ stage: 'importing', current: 0, total: products.length });
+  let historySnapshots = 0;
+
+  await db.run('BEGIN TRANSACTION');
+  try {
+    await db.run('DELETE FROM product_snapshots WHERE source_file = ?', [filename]);
+    for (const [i, product] of products.entries()) {
+      job.throwIfCancelled();
+      const rows = productHistorySnapshots(product);
+      await insertSnapshots(db, rows, filename);
+      historySnapshots += rows.length;
+      job.progress({ current: i + 1 });
+    }
+    await db.run('COMMIT');
+  } catch (error) {
+    await db.run('ROLLBACK');
+    throw error;
+  }
+
+  await recordImport(db, {
+    filename,
+    hash,
+    size,
+    rowCount: products.length,
+    profile: 'keepa-history',
+    snapshotAt: null,
+    parseErrors: {}
+  });
+  console.log(`Imported ${historySnapshots} snapshots for ${products.length} products from ${filename}`);
+
+  const asins = new Set(products.map(product => product.asin));
+  const known = await loadProducts(db, [...asins], ['asin']);
+  if (known.size < asins.size) {
+    console.warn(`${filename}: ${asins.size - known.size} products are not in the products table yet - their history shows once a CSV with them is imported`);
+  }
+  return { skipped: false, products: products.length, historySnapshots };
+}
+
+// Import CSV to database - the whole file is one transaction, rolled back on error or cancellation.
+// history maps Keepa history types to the columns holding their arrays (see keepaHistory.js)
+async function importCSVToDatabase(filePath, filename, mapping, { history = {}, onProgress = () => {}, signal } = {}) {
   return new Promise((resolve, reject) => {
-    if (!fs.existsSync(filePath)) return resolve();
+    if (!fs.existsSync(filePath)) return resolve({ rowsProcessed: 0, rowsRejected: 0, snapshotAt: null, historySnapshots: 0 });
 
+    const snapshotAt = resolveSnapshotDate(filePath, filename);
+    const parser = new ValueParser({ decimal: KEEPA_DECIMAL_SEPARATOR });
     const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    // History arrays go to the snapshot table, not into raw_data
+    const historyHeaders = new Set(Object.values(history).flat());
     let rowsProcessed = 0;
+    let rowsParsed = 0;
+    let rowsRejected = 0;
+    let historySnapshots = 0;
     let batch = [];
+    // Papa keeps parsing already buffered data while a chunk awaits its inserts,
+    // so chunks (and complete) are queued to run strictly one after another
+    let work = Promise.resolve();
+    let failed = false;
 
-    // Start a single transaction
-    db.run('BEGIN TRANSACTION')
-      .catch(err => {
+    // Start a single transaction. A re-import first removes every snapshot the file
+    // added before - its export date or its history columns may have changed since
+    work = db.run('BEGIN TRANSACTION')
+      .then(() => db.run('DELETE FROM product_snapshots WHERE source_file = ?', [filename]))
+      .catch(async err => {
+        failed = true;
         console.error(`Failed to start transaction: ${err.message}`);
+        await db.run('ROLLBACK').catch(() => {});
         reject(err);
       });
 
-    Papa.parse(readStream, {
-      header: true,
-      skipEmptyLines: true,
-      chunk: async function(results) {
-        readStream.pause(); // Pause stream to avoid overwhelming
+    // Process one parsed chunk inside the open transaction
+    const processChunk = async (results) => {
+      if (failed) return;
+      try {
+        if (signal?.aborted) throw new JobCancelledError(`Import of ${filename} was cancelled`);
 
-        try {
-          for (const row of results.data) {
-            const asin = row['ASIN'] || row['asin'];
-            if (!asin) continue;
-
-            const product = {
-              asin,
-              title: row['Title'] || row['title'],
-              brand: row['Brand'] || row['brand'],
-              description: row['Description & Features: Description'] || row['Description & Features: Short Description'],
-              price: parseFloat(row['Buy Box 🚚: Current']),
-              sales_rank: parseInt(row['Sales Rank: Current']),
-              review_rating: parseFloat(row['Reviews: Rating']),
-              review_count: parseInt(row['Reviews: Review Count']),
-              raw_data: JSON.stringify(row)
-            };
-
-            batch.push(product);
-
-            if (batch.length >= BATCH_SIZE) {
-              // Insert batch and clear
-              await insertBatch(batch);
-              rowsProcessed += batch.length;
-              batch = [];
-            }
+        for (const row of results.data) {
+          rowsParsed++;
+          const product = {
+            ...mapRow(row, mapping, parser),
+            raw_data: JSON.stringify(historyHeaders.size > 0
+              ? Object.fromEntries(Object.entries(row).filter(([header]) => !historyHeaders.has(header)))
+              : row),
+            snapshot_at: snapshotAt
+          };
+          if (!product.asin) {
+            rowsRejected++;
+            continue;
           }
+          product.history = historyHeaders.size > 0 ? rowHistorySnapshots(product.asin, row, history, parser) : [];
+          historySnapshots += product.history.length;
 
-          readStream.resume(); // Resume stream
-        } catch (error) {
-          console.error(`Error processing chunk: ${error.message}`);
-          await db.run('ROLLBACK'); // Rollback on error
-          reject(error);
-        }
-      },
-      complete: async function() {
-        try {
-          // Insert any remaining rows in the final batch
-          if (batch.length > 0) {
-            await insertBatch(batch);
+          batch.push(product);
+
+          if (batch.length >= BATCH_SIZE) {
+            // Insert batch and clear
+            await insertBatch(batch, filename);
             rowsProcessed += batch.length;
             batch = [];
           }
+        }
+
+        onProgress({ rowsParsed, rowsImported: rowsProcessed, rowsRejected });
+        readStream.resume(); // Resume stream
+      } catch (error) {
+        failed = true;
+        console.error(`Error processing chunk: ${error.message}`);
+        readStream.destroy(); // Stop reading - nothing else may run in this transaction
+        await db.run('ROLLBACK'); // Rollback on error
+        reject(error);
+      }
+    };
 
-          // Commit the transaction
-          await db.run('COMMIT');
-          console.log(`Imported ${rowsProcessed} rows from ${filename}`);
-          resolve();
-        } catch (error) {
-          console.error(`Transaction commit failed: ${error.message}`);
-          await db.run('ROLLBACK');
-          reject(error);
+    // Insert the last batch and commit
+    const finish = async () => {
+      if (failed) return;
+      try {
+        // Insert any remaining rows in the final batch
+        if (batch.length > 0) {
+          await insertBatch(batch, filename);
+          rowsProcessed += batch.length;
+          batch = [];
         }
+
+        // Commit the transaction
+        await db.run('COMMIT');
+        console.log(`Imported ${rowsProcessed} rows from ${filename} (snapshot ${snapshotAt}, ${rowsRejected} rejected without an ASIN${historySnapshots > 0 ? `, ${historySnapshots} snapshots decoded from Keepa history columns` : ''})`);
+        onProgress({ rowsParsed, rowsImported: rowsProcessed, rowsRejected });
+
+        // Surface unparseable numbers instead of silently storing nulls
+        if (csvMetadata[filename]) {
+          csvMetadata[filename].parseErrors = parser.summary();
+        }
+        for (const [column, { count, samples }] of Object.entries(parser.summary())) {
+          console.warn(`${filename}: ${count} unparseable ${column} values (e.g. ${samples.map(sample => JSON.stringify(sample)).join(', ')})`);
+        }
+        resolve({ rowsProcessed, rowsRejected, snapshotAt, historySnapshots });
+      } catch (error) {
+        console.error(`Transaction commit failed: ${error.message}`);
+        await db.run('ROLLBACK');
+        reject(error);
+      }
+    };
+
+    Papa.parse(readStream, {
+      header: true,
+      skipEmptyLines: true,
+      chunk: function(results) {
+        readStream.pause(); // Pause stream to avoid overwhelming
+        work = work.then(() => processChunk(results));
+      },
+      complete: function() {
+        work = work.then(finish);
       },
       error: function(err) {
+        failed = true;
         console.error(`CSV parsing error: ${err.message}`);
         db.run('ROLLBACK')
           .catch(rollbackErr => console.error(`Rollback failed: ${rollbackErr.message}`));
@@ -423,14 +1282,16 @@ async function importCSVToDatabase(filePath, filename) {
 
 /**
  * Setup vector store with proper initialization and robust error handling
+ * @param {Object} job Job run context; a cancelled build keeps what it embedded
  * @returns {Promise<boolean>} Success state of vector store setup
  */
-async function setupVectorStore() {
+async function setupVectorStore(job = detachedJobContext()) {
   isVectorStoreInitializing = true;
   
   try {
     // Ensure embedding model is initialized
-    if (!embedder) {
+    if (!embeddingDimension) {
+      job.progress({ stage: 'loading model' });
       const modelInitialized = await initEmbeddingModel();
       if (!modelInitialized) {
         console.error("Cannot proceed with vector store setup - embedding model failed to initialize");
@@ -448,7 +1309,12 @@ async function setupVectorStore() {
     const checkpointPath = path.join(vectorStoreDir, 'checkpoint.json');
 
     vectorStore = new HNSWVectorStore({
-      generateEmbedding: generateEmbedding
+      generateEmbedding: generateEmbedding,
+      generateEmbeddings: generateEmbeddings,
+      model: EMBEDDING_MODEL,
+      dimension: embeddingDimension,
+      // Indexes saved without a model id were always built with the default model
+      legacyModel: DEFAULT_EMBEDDING_MODEL
     });
 
     // Check for existing vector store files
@@ -457,11 +1323,15 @@ async function setupVectorStore() {
 
     if (fs.existsSync(indexFile) && fs.existsSync(jsonFile)) {
       console.log('Found existing vector store files. Attempting to load...');
+      job.progress({ stage: 'loading index' });
       try {
         const loadedSuccessfully = await vectorStore.load(vectorStorePath);
 
         if (loadedSuccessfully) {
-          console.log(`Successfully loaded vector store with ${vectorStore.documents.length} documents`);
+          console.log(`Successfully loaded vector store with ${vectorStore.documentCount} documents`);
+
+          // Bring the loaded index up to date with products imported or changed since it was saved
+          await syncVectorStore(vectorStorePath, job);
 
           // Set search parameters for better results
           if (vectorStore.index) {
@@ -478,6 +1348,7 @@ async function setupVectorStore() {
           return true;
         }
       } catch (loadError) {
+        if (loadError instanceof JobCancelledError) throw loadError;
         console.error(`Error loading vector store: ${loadError.message}`);
       }
     }
@@ -485,10 +1356,19 @@ async function setupVectorStore() {
     // If no existing vector store, proceed with building
     console.log('No existing vector store found or failed to load. Starting build process...');
     await vectorStore.reset(); // Reset to ensure clean state
-    const buildResult = await buildVectorStore(vectorStorePath, checkpointPath);
+    const buildResult = await buildVectorStore(vectorStorePath, checkpointPath, job);
+    // Products uploaded while the build was reading the table are picked up here
+    if (buildResult) {
+      await syncVectorStore(vectorStorePath, job);
+    }
     isVectorStoreInitializing = false;
     return buildResult;
   } catch (error) {
+    isVectorStoreInitializing = false;
+    if (error instanceof JobCancelledError) {
+      console.warn('Vector store setup cancelled - search uses the documents embedded so far');
+      throw error;
+    }
     console.error(`Vector store setup critical error: ${error.message}`);
     console.error(`Full error:`, error);
     isVectorStoreInitializing = false;
@@ -496,13 +1376,151 @@ async function setupVectorStore() {
   }
 }
 
+// Columns productDocuments() reads
+const DOCUMENT_COLUMNS = 'asin, title, brand, model, category, category_path, description, price, sales_rank, review_rating, review_count, raw_data';
+
+/**
+ * Turn a products row into the documents that get embedded - one, or one
+ * per description chunk when EMBEDDING_DESCRIPTION_CHUNKS allows it
+ * @param {Object} product Row with the DOCUMENT_COLUMNS
+ * @returns {Array} Documents with pageContent and metadata. Every chunk carries
+ *   the content hash of all of the product's text, so a change anywhere re-embeds them all
+ */
+function productDocuments(product) {
+  const texts = documentBuilder.build(product);
+  const contentHash = HNSWVectorStore.hashContent(texts.join('\n\n'));
+
+  return texts.map((text, chunk) => ({
+    pageContent: text,
+    metadata: {
+      asin: product.asin,
+      title: product.title,
+      source: 'database',
+      chunk,
+      chunkCount: texts.length,
+      contentHash
+    }
+  }));
+}
+
+/**
+ * Number of products a batch of documents completes - a product counts once its last chunk is in
+ * @param {Array} documents Documents from productDocuments()
+ * @returns {number} Completed products
+ */
+function completedProducts(documents) {
+  return documents.filter(doc => doc.metadata.chunk === doc.metadata.chunkCount - 1).length;
+}
+
+/**
+ * Embedding throughput since a start time
+ * @param {number} count Documents embedded since then
+ * @param {number} startedAt Date.now() at the start
+ * @returns {number} Documents per second, to one decimal
+ */
+function documentsPerSecond(count, startedAt) {
+  const seconds = (Date.now() - startedAt) / 1000;
+  return seconds > 0 ? Math.round((count / seconds) * 10) / 10 : 0;
+}
+
+/**
+ * Add document batches to the vector store with several of them embedding at
+ * once, so every worker an index build may use stays busy
+ * @param {Function} onBatchDone Called with (documents, success) as each batch lands
+ * @returns {Object} { add(documents) - resolves once another batch may start, drain() }
+ */
+function createBatchPipeline(onBatchDone) {
+  const concurrency = embeddingPool ? EMBEDDING_BUILD_CONCURRENCY : 1;
+  const inFlight = new Set();
+
+  return {
+    async add(documents) {
+      const pending = vectorStore.addDocuments(documents)
+        .then(success => onBatchDone(documents, success))
+        .finally(() => inFlight.delete(pending));
+      inFlight.add(pending);
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+    },
+    // Wait for every batch - saving must not overlap inserts into the index
+    drain: () => Promise.allSettled(inFlight)
+  };
+}
+
+/**
+ * Embed new and changed products and delete removed ones, so the index
+ * matches the products table without a full rebuild
+ * @param {string} vectorStorePath Path to save the vector store
+ * @param {Object} job Job run context - progress is reported as the 'embedding' stage
+ * @returns {Promise<Object>} { added, updated, deleted } document counts
+ */
+async function syncVectorStore(vectorStorePath = path.join(VECTOR_STORE_PATH, 'vectorstore.hnsw'), job = detachedJobContext()) {
+  const CHUNK_SIZE = 5000;
+  const seen = new Set();
+  const counts = { added: 0, updated: 0, deleted: 0 };
+  const pending = [];
+
+  // Collect first so progress can be reported against a known total
+  job.progress({ stage: 'checking products' });
+  for (let offset = 0; ; offset += CHUNK_SIZE) {
+    const products = await db.all(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM products ORDER BY asin LIMIT ? OFFSET ?`,
+      [CHUNK_SIZE, offset]
+    );
+    if (products.length === 0) break;
+
+    for (const product of products) {
+      seen.add(product.asin);
+      const documents = productDocuments(product);
+      if (documents.length === 0) continue;
+      const action = vectorStore.syncAction(product.asin, documents[0].metadata.contentHash);
+      if (!action) continue;
+
+      counts[action]++;
+      pending.push(...documents);
+    }
+  }
+
+  if (pending.length > 0) job.progress({ stage: 'embedding', current: 0, total: pending.length });
+  const startedAt = Date.now();
+  let embedded = 0;
+  const batches = createBatchPipeline((documents) => {
+    embedded += documents.length;
+    job.progress({ current: embedded });
+    job.details({ docsPerSecond: documentsPerSecond(embedded, startedAt) });
+  });
+
+  for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+    if (job.signal.aborted) {
+      // Keep what was embedded - the next sync only embeds the rest
+      await batches.drain();
+      if (embedded > 0) await vectorStore.save(vectorStorePath);
+      job.throwIfCancelled();
+    }
+    await batches.add(pending.slice(i, i + EMBEDDING_BATCH_SIZE));
+  }
+  await batches.drain();
+
+  counts.deleted = vectorStore.deleteDocuments(vectorStore.removedAsins(seen));
+
+  if (counts.added + counts.updated + counts.deleted > 0) {
+    console.log(`Vector store sync: ${counts.added} added, ${counts.updated} re-embedded, ${counts.deleted} deleted (${documentsPerSecond(pending.length, startedAt)} docs/s)`);
+    await vectorStore.save(vectorStorePath);
+  } else {
+    console.log('Vector store is up to date with the products table');
+  }
+
+  return counts;
+}
+
 /**
  * Build the vector store from the database
  * @param {string} vectorStorePath Path to save the vector store
  * @param {string} checkpointPath Path for the checkpoint file
+ * @param {Object} job Job run context - progress is reported as the 'embedding' stage
  * @returns {Promise<boolean>} Success state
  */
-async function buildVectorStore(vectorStorePath, checkpointPath) {
+async function buildVectorStore(vectorStorePath, checkpointPath, job = detachedJobContext()) {
   console.log('Building new vector store...');
   
   // Initialize vector store if needed
@@ -524,43 +1542,12 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
     return false;
   }
 
-  // Load checkpoint if exists
-  let offset = 0;
-  let totalProcessed = 0;
-  const backupCheckpointPath = `${checkpointPath}.backup`;
-  
-  if (fs.existsSync(checkpointPath)) {
-    try {
-      const checkpointData = fs.readFileSync(checkpointPath, 'utf-8');
-      // Make a backup of the checkpoint file
-      fs.writeFileSync(backupCheckpointPath, checkpointData);
-      
-      const checkpoint = JSON.parse(checkpointData);
-      offset = checkpoint.offset || 0;
-      totalProcessed = checkpoint.processed || 0;
-      console.log(`Resuming from checkpoint: processed ${totalProcessed} products, starting at offset ${offset}`);
-    } catch (error) {
-      console.warn(`Error reading checkpoint: ${error.message}`);
-      
-      // Try to read from backup if available
-      if (fs.existsSync(backupCheckpointPath)) {
-        try {
-          const backupCheckpoint = JSON.parse(fs.readFileSync(backupCheckpointPath, 'utf-8'));
-          offset = backupCheckpoint.offset || 0;
-          totalProcessed = backupCheckpoint.processed || 0;
-          console.log(`Recovered from backup checkpoint: processed ${totalProcessed}, offset ${offset}`);
-        } catch (backupError) {
-          console.warn(`Backup checkpoint also corrupted: ${backupError.message}`);
-          offset = 0;
-          totalProcessed = 0;
-        }
-      } else {
-        // Reset if no backup
-        offset = 0;
-        totalProcessed = 0;
-      }
-    }
-  }
+  // Resume from a checkpoint of this model if a previous build left one
+  const embedding = { model: EMBEDDING_MODEL, dimension: embeddingDimension, legacyModel: DEFAULT_EMBEDDING_MODEL };
+  const checkpoint = loadCheckpoint(checkpointPath, embedding);
+  let offset = checkpoint?.offset || 0;
+  let totalProcessed = checkpoint?.processed || 0;
+  const backupPath = backupCheckpointPath(checkpointPath);
 
   // Processing configuration
   const CHUNK_SIZE = 5000; // Process rows in chunks
@@ -571,6 +1558,19 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
   let lastCheckpoint = totalProcessed;
   let lastSave = totalProcessed;
   let batch = [];
+  job.progress({ stage: 'embedding', current: totalProcessed, total: productCount.count });
+  // Throughput counts only what this run embedded, not what a checkpoint resumed from
+  const buildStartedAt = Date.now();
+  const resumedFrom = totalProcessed;
+  const rate = () => documentsPerSecond(totalProcessed - resumedFrom, buildStartedAt);
+  const batches = createBatchPipeline((documents, success) => {
+    if (!success) {
+      console.warn("Batch processing had errors, but continuing");
+    }
+    totalProcessed += completedProducts(documents);
+    job.progress({ current: totalProcessed });
+    job.details({ docsPerSecond: rate() });
+  });
 
   // Main processing loop
   let continueProcessing = true;
@@ -580,8 +1580,8 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
     try {
       // Fetch products in chunks
       const products = await db.all(
-        `SELECT asin, title, brand, description, price, sales_rank, review_rating, review_count 
-         FROM products ORDER BY asin LIMIT ? OFFSET ?`, 
+        `SELECT ${DOCUMENT_COLUMNS}
+         FROM products ORDER BY asin LIMIT ? OFFSET ?`,
         [CHUNK_SIZE, offset]
       );
       
@@ -594,85 +1594,75 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
       
       // Process each product in the chunk
       for (const product of products) {
-        const textContent = `
-          Title: ${product.title || ''}\n
-          Brand: ${product.brand || ''}\n
-          Description: ${product.description || ''}\n
-          Sales Rank: ${product.sales_rank || ''}\n
-          Reviews: ${product.review_rating || ''}★ (${product.review_count || ''} reviews)\n
-        `;
-
-        // Truncate long content for performance
-        const maxChars = 300;
-        const trimmedContent = textContent.length > maxChars 
-          ? textContent.slice(0, maxChars) + '...' 
-          : textContent;
-
-        batch.push({
-          pageContent: trimmedContent,
-          metadata: {
-            asin: product.asin,
-            title: product.title,
-            source: 'database'
-          }
-        });
+        const documents = productDocuments(product);
+        // Nothing to embed, but the product still counts towards progress and the checkpoint
+        if (documents.length === 0) totalProcessed++;
+        batch.push(...documents);
 
         // Process in batches
         if (batch.length >= EMBEDDING_BATCH_SIZE) {
-          const success = await vectorStore.addDocuments(batch);
-          if (!success) {
-            console.warn("Batch processing had errors, but continuing");
-          }
-          
-          totalProcessed += batch.length;
+          await batches.add(batch);
           batch = [];
+          job.throwIfCancelled();
           
           // Save checkpoint periodically
           if (totalProcessed - lastCheckpoint >= CHECKPOINT_INTERVAL) {
-            fs.writeFileSync(checkpointPath, JSON.stringify({
+            writeCheckpoint(checkpointPath, {
               offset: offset + (totalProcessed - lastCheckpoint),
-              processed: totalProcessed,
-              timestamp: new Date().toISOString()
-            }));
+              processed: totalProcessed
+            }, embedding);
             lastCheckpoint = totalProcessed;
-            console.log(`Checkpoint saved: ${totalProcessed}/${productCount.count} products processed`);
+            console.log(`Checkpoint saved: ${totalProcessed}/${productCount.count} products processed (${rate()} docs/s)`);
           }
           
           // Save vector store periodically
           if (totalProcessed - lastSave >= SAVE_INTERVAL) {
+            await batches.drain();
             console.log(`Saving vector store at ${totalProcessed} documents...`);
             await vectorStore.save(vectorStorePath);
             lastSave = totalProcessed;
-            console.log(`Vector store saved with ${vectorStore.documents.length} documents`);
+            console.log(`Vector store saved with ${vectorStore.documentCount} documents`);
           }
         }
       }
 
       // Process any remaining items in batch
       if (batch.length > 0) {
-        await vectorStore.addDocuments(batch);
-        totalProcessed += batch.length;
+        await batches.add(batch);
         batch = [];
       }
+      await batches.drain();
       
       // Update offset for next chunk and reset retry counter
       offset += products.length;
       currentRetry = 0;
       
       // Save checkpoint after successful chunk
-      fs.writeFileSync(checkpointPath, JSON.stringify({
+      writeCheckpoint(checkpointPath, {
         offset: offset,
-        processed: totalProcessed,
-        timestamp: new Date().toISOString()
-      }));
-      console.log(`Processed ${totalProcessed}/${productCount.count} products for vector store`);
+        processed: totalProcessed
+      }, embedding);
+      console.log(`Processed ${totalProcessed}/${productCount.count} products for vector store (${rate()} docs/s)`);
       console.log(`Chunk complete. Checkpoint saved at offset ${offset}`);
       
       // Save vector store after each chunk
       await vectorStore.save(vectorStorePath);
-      console.log(`Vector store saved with ${vectorStore.documents.length} documents`);
+      console.log(`Vector store saved with ${vectorStore.documentCount} documents`);
       
     } catch (error) {
+      // Let batches still embedding land before saving or resetting the store
+      await batches.drain();
+      batch = [];
+
+      if (error instanceof JobCancelledError) {
+        // Keep what was embedded - the next startup loads it and syncs the rest
+        if (vectorStore.documentCount > 0) {
+          console.log(`Saving partial vector store with ${vectorStore.documentCount} documents`);
+          await vectorStore.save(vectorStorePath);
+        }
+        throw error;
+      }
+
       // Error handling for chunk processing
       console.error(`Error processing chunk: ${error.message}`);
       console.error(`Stack: ${error.stack}`);
@@ -687,13 +1677,12 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
         await vectorStore.reset();
         
         // Save current progress before retrying
-        fs.writeFileSync(checkpointPath, JSON.stringify({
+        writeCheckpoint(checkpointPath, {
           offset: offset,
           processed: totalProcessed,
-          timestamp: new Date().toISOString(),
           lastError: error.message,
           retry: currentRetry
-        }));
+        }, embedding);
         
         // Wait a moment before retrying
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -704,19 +1693,18 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
         console.error(`Max retries (${MAX_RETRIES}) exceeded for chunk at offset ${offset}`);
         
         // Save vector store with what we have so far
-        if (vectorStore.documents.length > 0) {
-          console.log(`Saving partial vector store with ${vectorStore.documents.length} documents`);
+        if (vectorStore.documentCount > 0) {
+          console.log(`Saving partial vector store with ${vectorStore.documentCount} documents`);
           await vectorStore.save(vectorStorePath);
         }
         
         // Update checkpoint with error info
-        fs.writeFileSync(checkpointPath, JSON.stringify({
+        writeCheckpoint(checkpointPath, {
           offset: offset,
           processed: totalProcessed,
-          timestamp: new Date().toISOString(),
           error: error.message,
           status: 'failed_with_max_retries'
-        }));
+        }, embedding);
         
         // Stop processing
         continueProcessing = false;
@@ -726,8 +1714,8 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
   }
 
   // Final save of the vector store
-  if (vectorStore.documents.length > 0) {
-    console.log(`Vector store built with ${vectorStore.documents.length} documents, saving final version...`);
+  if (vectorStore.documentCount > 0) {
+    console.log(`Vector store built with ${vectorStore.documentCount} documents at ${rate()} docs/s, saving final version...`);
     await vectorStore.save(vectorStorePath);
     console.log('Vector store saved to disk');
     
@@ -735,8 +1723,8 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
     if (continueProcessing && fs.existsSync(checkpointPath)) {
       fs.unlinkSync(checkpointPath);
       console.log('Checkpoint file removed - process complete');
-      if (fs.existsSync(backupCheckpointPath)) {
-        fs.unlinkSync(backupCheckpointPath);
+      if (fs.existsSync(backupPath)) {
+        fs.unlinkSync(backupPath);
       }
     }
     
@@ -750,12 +1738,29 @@ async function buildVectorStore(vectorStorePath, checkpointPath) {
 // ✅ Setup additional API routes after vectorstore is available
 function setupAdvancedRoutes() {
   // Status endpoint with more detailed info
-  app.get('/api/status', (req, res) => {
+  app.get('/api/status', async (req, res) => {
+    let cacheStats = null;
+    try {
+      cacheStats = embeddingCache ? await embeddingCache.stats() : null;
+    } catch (error) {
+      console.warn(`Embedding cache stats error: ${error.message}`);
+    }
+
     res.json({
       status: 'online',
       vectorStore: vectorStore?.initialized ? 'ready' : 'not initialized',
-      documents: vectorStore?.documents?.length || 0,
-      vectorStoreInitializing: isVectorStoreInitializing
+      documents: vectorStore?.documentCount || 0,
+      products: vectorStore?.productCount || 0,
+      vectorStoreInitializing: isVectorStoreInitializing,
+      embeddingModel: { id: EMBEDDING_MODEL, dimension: embeddingDimension },
+      embeddingCache: cacheStats,
+      csvFiles: Object.fromEntries(Object.entries(csvMetadata).map(([filename, metadata]) => [filename, {
+        recordCount: metadata.recordCount,
+        processed: metadata.processed,
+        profile: metadata.profile,
+        missingEssential: metadata.missingEssential,
+        parseErrors: metadata.parseErrors
+      }]))
     });
   });
 
@@ -791,7 +1796,22 @@ async function initServer() {
     // ✅ Setup basic routes immediately so the server can respond to requests
     console.log('Setting up basic API routes first...');
     setupBasicRoutes();
+
+    // Answer generation provider - a bad configuration falls back to the template provider
+    try {
+      llmProvider = createLLMProvider();
+      console.log(`Answer generation provider: ${llmProvider.name}`);
+    } catch (error) {
+      console.warn(`LLM provider configuration error: ${error.message} - using template answers`);
+      llmProvider = new TemplateProvider();
+    }
     
+    // Uploads cut off by the last shutdown, removed before new ones can arrive
+    const staleUploads = removeStaleUploads(CSV_DIR);
+    if (staleUploads.length > 0) {
+      console.log(`Removed ${staleUploads.length} incomplete upload(s) left in the CSV directory`);
+    }
+
     // Start server early to handle requests during initialization
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -822,23 +1842,22 @@ async function initServer() {
       .catch(err => console.warn(`CSV analysis error: ${err.message}`));
     console.log('CSV analysis complete');
     
-    // 4. Import CSV files if they haven't been processed (non-critical)
+    // 4. Import new and modified CSV files (non-critical)
     try {
-      for (const [filename, metadata] of Object.entries(csvMetadata)) {
-        if (metadata.recordCount > 0 && !metadata.processed) {
-          console.log(`Importing data from ${filename}...`);
-          await importCSVToDatabase(metadata.path, filename)
-            .catch(err => console.warn(`CSV import error for ${filename}: ${err.message}`));
-          metadata.processed = true;
-        }
-      }
+      await importCSVFiles();
     } catch (error) {
       console.warn(`CSV import process error: ${error.message}`);
     }
     
     // 5. Setup vector store in the background - allow server to function meanwhile
     console.log('Starting vector store setup in background...');
-    setupVectorStore().then(vectorStoreReady => {
+    const vectorStoreSetup = jobQueue
+      ? jobQueue.enqueueAndWait('vector-index', 'Load or build the vector index', async (job) => {
+          if (!await setupVectorStore(job)) throw new Error('Vector store setup incomplete');
+          return { documents: vectorStore.documentCount };
+        }).then(job => job.status === 'completed')
+      : setupVectorStore();
+    vectorStoreSetup.then(vectorStoreReady => {
       if (!vectorStoreReady) {
         console.warn('Vector store setup incomplete - search functionality will be limited');
       } else {
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KEEPA_STAT_COLUMNS } from './keepaColumns.js';
+import { KEEPA_HISTORY_TYPES } from './keepaHistory.js';
+
+/**
+ * Column mapping profiles
+ * A profile (JSON file in ./profiles) maps source CSV headers and their
+ * aliases to the canonical products fields. The profile matching the most
+ * headers of a file is used to import it. A profile's optional "history"
+ * section names the columns holding Keepa history arrays, by Keepa history type
+ */
+
+const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+// Canonical product fields, the kind of value each holds and whether an import is degraded without it
+export const CANONICAL_FIELDS = {
+  asin: { kind: 'text', essential: true },
+  title: { kind: 'text', essential: true },
+  brand: { kind: 'text', essential: true },
+  description: { kind: 'text', essential: true },
+  price: { kind: 'currency', essential: true },
+  sales_rank: { kind: 'integer', essential: true },
+  review_rating: { kind: 'decimal', essential: true },
+  review_count: { kind: 'integer', essential: true },
+  category: { kind: 'text' },
+  category_path: { kind: 'text' },
+  model: { kind: 'text' },
+  ...Object.fromEntries(Object.entries(KEEPA_STAT_COLUMNS).map(([column, { kind }]) => [column, { kind }]))
+};
+
+/**
+ * Compare headers ignoring case and whitespace differences
+ */
+function headerKey(header) {
+  return String(header).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * A profile entry's aliases - a single header or a list of them
+ */
+function aliasList(aliases) {
+  return (Array.isArray(aliases) ? aliases : [aliases]).filter(alias => typeof alias === 'string');
+}
+
+/**
+ * Load every mapping profile
+ * @param {string} dir Directory of profile JSON files
+ * @returns {Array} Profiles { name, description, fields, history }, invalid files skipped with a warning
+ */
+export function loadMappingProfiles(dir = PROFILES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const profiles = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    try {
+      const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!profile.fields || typeof profile.fields !== 'object') {
+        throw new Error('missing "fields" object');
+      }
+
+      const fields = {};
+      for (const [field, aliases] of Object.entries(profile.fields)) {
+        if (!CANONICAL_FIELDS[field]) {
+          console.warn(`Mapping profile ${file}: ignoring unknown field "${field}"`);
+          continue;
+        }
+        fields[field] = aliasList(aliases);
+      }
+
+      const history = {};
+      for (const [type, aliases] of Object.entries(profile.history || {})) {
+        if (!KEEPA_HISTORY_TYPES[type]) {
+          console.warn(`Mapping profile ${file}: ignoring unknown history type "${type}"`);
+          continue;
+        }
+        history[type] = aliasList(aliases);
+      }
+
+      profiles.push({ name: profile.name || path.basename(file, '.json'), description: profile.description || '', fields, history });
+    } catch (error) {
+      console.warn(`Skipping mapping profile ${file}: ${error.message}`);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Resolve a profile section against a file's header row
+ * @param {Object} section Field (or history type) to its aliases
+ * @param {string[]} headers Header row as it appears in the file
+ * @returns {Object} Field name to the file headers it reads from, in alias order
+ */
+function resolveMapping(section, headers) {
+  const byKey = new Map();
+  for (const header of headers) {
+    if (!byKey.has(headerKey(header))) byKey.set(headerKey(header), header);
+  }
+
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(section)) {
+    const matched = aliases.map(alias => byKey.get(headerKey(alias))).filter(Boolean);
+    if (matched.length > 0) mapping[field] = [...new Set(matched)];
+  }
+  return mapping;
+}
+
+/**
+ * Pick the profile that maps the most fields of a header row
+ * @param {string[]} headers Header row as it appears in the file
+ * @param {Array} profiles Profiles from loadMappingProfiles()
+ * @returns {Object|null} { profile, mapping, history, missingEssential } or null when no profile finds an ASIN column
+ */
+export function detectMappingProfile(headers, profiles) {
+  let best = null;
+
+  for (const profile of profiles) {
+    const mapping = resolveMapping(profile.fields, headers);
+    if (!mapping.asin) continue;
+
+    const history = resolveMapping(profile.history, headers);
+    const score = Object.keys(mapping).length + Object.keys(history).length;
+    if (!best || score > best.score) {
+      best = { profile: profile.name, mapping, history, score };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    profile: best.profile,
+    mapping: best.mapping,
+    history: best.history,
+    missingEssential: Object.keys(CANONICAL_FIELDS)
+      .filter(field => CANONICAL_FIELDS[field].essential && !best.mapping[field])
+  };
+}
+
+/**
+ * Read the canonical fields of a CSV row
+ * @param {Object} row Parsed CSV row
+ * @param {Object} mapping Mapping from detectMappingProfile()
+ * @param {ValueParser} parser Parser that tallies unparseable cells for the import
+ * @returns {Object} Product fields - every canonical field, null when unmapped or empty
+ */
+export function mapRow(row, mapping, parser) {
+  const product = {};
+
+  for (const [field, { kind }] of Object.entries(CANONICAL_FIELDS)) {
+    // The first alias with a value wins, so e.g. a short description backs up the long one
+    const headers = mapping[field] || [];
+    const header = headers.find(candidate => row[candidate] !== undefined && String(row[candidate]).trim() !== '');
+    const raw = header ? row[header] : undefined;
+
+    if (kind === 'text') {
+      product[field] = raw !== undefined ? String(raw).trim() : null;
+    } else {
+      product[field] = parser.parse(field, raw, kind);
+    }
+  }
+
+  return product;
+}
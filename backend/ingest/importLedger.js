@@ -0,0 +1,149 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Imports ledger
+ * Records every imported CSV file with its content hash so unchanged files
+ * are skipped on restart and modified files are imported again
+ */
+
+/**
+ * Create the imports table
+ * @param {Object} db Open sqlite database
+ */
+export async function setupImportLedger(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS imports (
+      filename TEXT PRIMARY KEY,
+      content_hash TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      row_count INTEGER NOT NULL,
+      profile TEXT,
+      snapshot_at TEXT,
+      parse_errors TEXT,
+      imported_at TEXT NOT NULL
+    );
+  `);
+}
+
+/**
+ * SHA-256 of a file's contents, streamed so large exports are not read into memory
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { hash, size }
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on('end', () => resolve({ hash: hash.digest('hex'), size }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Ledger entry of a file
+ * @param {Object} db Open sqlite database
+ * @param {string} filename CSV file name
+ * @returns {Promise<Object|undefined>} Entry with parse_errors decoded, undefined if never imported
+ */
+export async function getImport(db, filename) {
+  const entry = await db.get('SELECT * FROM imports WHERE filename = ?', [filename]);
+  if (entry) entry.parse_errors = entry.parse_errors ? JSON.parse(entry.parse_errors) : {};
+  return entry;
+}
+
+/**
+ * Hash a file and compare it with its ledger entry
+ * @param {Object} db Open sqlite database
+ * @param {string} filename CSV file name
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { hash, size, previous, unchanged } - unchanged when the ledger has the same contents
+ */
+export async function checkImport(db, filename, filePath) {
+  const { hash, size } = await hashFile(filePath);
+  const previous = await getImport(db, filename);
+  return { hash, size, previous, unchanged: Boolean(previous && previous.content_hash === hash) };
+}
+
+/**
+ * Record a completed import, replacing any earlier entry for the file
+ * @param {Object} db Open sqlite database
+ * @param {Object} entry { filename, hash, size, rowCount, profile, snapshotAt, parseErrors }
+ */
+export async function recordImport(db, entry) {
+  await db.run(
+    `INSERT INTO imports (filename, content_hash, size, row_count, profile, snapshot_at, parse_errors, imported_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(filename) DO UPDATE SET
+       content_hash = excluded.content_hash,
+       size = excluded.size,
+       row_count = excluded.row_count,
+       profile = excluded.profile,
+       snapshot_at = excluded.snapshot_at,
+       parse_errors = excluded.parse_errors,
+       imported_at = excluded.imported_at`,
+    [
+      entry.filename,
+      entry.hash,
+      entry.size,
+      entry.rowCount,
+      entry.profile || null,
+      entry.snapshotAt || null,
+      JSON.stringify(entry.parseErrors || {}),
+      new Date().toISOString()
+    ]
+  );
+}
+
+/**
+ * Ledger entries whose file is no longer in the CSV directory
+ * @param {Object} db Open sqlite database
+ * @param {string[]} filenames CSV files currently present
+ * @returns {Promise<Array>} Ledger entries of deleted files
+ */
+export async function findDeletedImports(db, filenames) {
+  const present = new Set(filenames);
+  const entries = await db.all('SELECT filename, row_count, imported_at FROM imports ORDER BY filename');
+  return entries.filter(entry => !present.has(entry.filename));
+}
+
+/**
+ * Remove a deleted file's snapshots, the products no other import contains,
+ * and its ledger entry
+ * @param {Object} db Open sqlite database
+ * @param {string} filename Deleted CSV file name
+ * @returns {Promise<string[]>} ASINs of the retired products
+ */
+export async function retireImport(db, filename) {
+  await db.run('BEGIN TRANSACTION');
+  try {
+    const rows = await db.all(
+      `SELECT DISTINCT asin FROM product_snapshots s
+       WHERE s.source_file = ?
+         AND NOT EXISTS (
+           SELECT 1 FROM product_snapshots other
+           WHERE other.asin = s.asin AND other.source_file != ?
+         )`,
+      [filename, filename]
+    );
+    const asins = rows.map(row => row.asin);
+
+    for (const asin of asins) {
+      await db.run('DELETE FROM products WHERE asin = ?', [asin]);
+    }
+    await db.run('DELETE FROM product_snapshots WHERE source_file = ?', [filename]);
+    await db.run('DELETE FROM imports WHERE filename = ?', [filename]);
+
+    await db.run('COMMIT');
+    return asins;
+  } catch (error) {
+    await db.run('ROLLBACK');
+    throw error;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Keepa statistics columns stored as typed fields on products
+ * Maps each products column to its SQL type and the kind of value it holds
+ * (see valueParser.js). The CSV headers they come from live in the mapping profiles
+ */
+
+export const KEEPA_STAT_COLUMNS = {
+  buy_box_avg_30: { type: 'REAL', kind: 'currency' },
+  buy_box_avg_90: { type: 'REAL', kind: 'currency' },
+  buy_box_avg_180: { type: 'REAL', kind: 'currency' },
+  buy_box_lowest: { type: 'REAL', kind: 'currency' },
+  buy_box_highest: { type: 'REAL', kind: 'currency' },
+  amazon_price: { type: 'REAL', kind: 'currency' },
+  new_price: { type: 'REAL', kind: 'currency' },
+  sales_rank_avg_30: { type: 'INTEGER', kind: 'integer' },
+  sales_rank_drops_30: { type: 'INTEGER', kind: 'integer' },
+  sales_rank_drops_90: { type: 'INTEGER', kind: 'integer' }
+};
+
+/**
+ * Column name to SQL type, for the products schema
+ * @returns {Object} e.g. { buy_box_avg_30: 'REAL', ... }
+ */
+export function keepaStatColumnTypes() {
+  return Object.fromEntries(Object.entries(KEEPA_STAT_COLUMNS).map(([column, { type }]) => [column, type]));
+}
+
@@ -0,0 +1,187 @@
+import fs from 'fs';
+
+/**
+ * Keepa history arrays
+ * Keepa's API (and exports built from it) encodes each history as a flat
+ * [keepaTime, value, keepaTime, value, ...] array. Keepa time is minutes
+ * since 2011-01-01 UTC, prices are integer cents and -1 means there was no
+ * offer (out of stock). These are decoded into dated snapshot rows
+ */
+
+// Minutes between the Unix epoch and Keepa's 2011-01-01 epoch
+export const KEEPA_TIME_OFFSET_MINUTES = 21564000;
+
+// The value was not available (e.g. out of stock): the series has no value from that point on
+const NO_OFFER = -1;
+// Keepa has no data for that point: skipped, the previous value carries on
+const NO_DATA = -2;
+
+/**
+ * Keepa history types decoded into snapshots, keyed by their Keepa API name.
+ * index is the type's position in a Keepa product's csv array; the Buy Box
+ * history holds [time, price, shipping] triples and is stored as the landed price
+ */
+export const KEEPA_HISTORY_TYPES = {
+  AMAZON: { index: 0, field: 'amazon_price', kind: 'price' },
+  NEW: { index: 1, field: 'new_price', kind: 'price' },
+  SALES: { index: 3, field: 'sales_rank', kind: 'count' },
+  RATING: { index: 16, field: 'review_rating', kind: 'rating' },
+  COUNT_REVIEWS: { index: 17, field: 'review_count', kind: 'count' },
+  BUY_BOX_SHIPPING: { index: 18, field: 'price', kind: 'price', stride: 3 }
+};
+
+/**
+ * Convert Keepa time to a timestamp
+ * @param {number} keepaMinutes Minutes since 2011-01-01 UTC
+ * @returns {string} ISO 8601 timestamp
+ */
+export function keepaTimeToISO(keepaMinutes) {
+  return new Date((keepaMinutes + KEEPA_TIME_OFFSET_MINUTES) * 60000).toISOString();
+}
+
+/**
+ * Scale a stored Keepa value to the unit the snapshot table uses
+ */
+function scaleValue(value, kind) {
+  if (kind === 'price') return value / 100; // cents
+  if (kind === 'rating') return value / 10; // 45 is 4.5 stars
+  return value;
+}
+
+/**
+ * Read a cell holding a history array, e.g. "[6012340, 1999, 6015000, -1]"
+ * @param {*} cell CSV cell or already parsed JSON value
+ * @param {number} stride Numbers per point (2, or 3 for the Buy Box)
+ * @returns {number[]|null} The flat array, null when the cell is not a well-formed history
+ */
+export function parseHistoryArray(cell, stride = 2) {
+  let values = cell;
+  if (typeof cell === 'string') {
+    const text = cell.trim();
+    if (!text.startsWith('[')) return null;
+    try {
+      values = JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(values) || values.length % stride !== 0) return null;
+  return values.every(Number.isInteger) ? values : null;
+}
+
+/**
+ * Decode one history array
+ * @param {number[]} values Flat array from parseHistoryArray()
+ * @param {string} type Key of KEEPA_HISTORY_TYPES
+ * @returns {Array} Points { time, value } oldest first - value is null from the
+ *   time the product went out of stock, NO_DATA points are left out
+ */
+export function decodeHistory(values, type) {
+  const { kind, stride = 2 } = KEEPA_HISTORY_TYPES[type];
+  const points = [];
+
+  for (let i = 0; i < values.length; i += stride) {
+    const value = values[i + 1];
+    if (value === NO_DATA) continue;
+
+    let decoded = null;
+    if (value !== NO_OFFER) {
+      // Shipping is -1 when unknown, counted as free
+      const shipping = stride === 3 ? Math.max(0, values[i + 2]) : 0;
+      decoded = scaleValue(value + shipping, kind);
+    }
+    points.push({ time: keepaTimeToISO(values[i]), value: decoded });
+  }
+
+  return points.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Merge decoded histories into snapshot rows. Each series is a step function,
+ * so every row carries the latest value of every series at its time
+ * @param {string} asin Product ASIN
+ * @param {Object} histories Snapshot field -> points from decodeHistory()
+ * @returns {Array} Rows { asin, snapshot_at, price, ... } for insertSnapshots()
+ */
+export function historySnapshots(asin, histories) {
+  const changes = new Map();
+  for (const [field, points] of Object.entries(histories)) {
+    for (const { time, value } of points) {
+      if (!changes.has(time)) changes.set(time, {});
+      changes.get(time)[field] = value;
+    }
+  }
+
+  const current = {};
+  return [...changes.keys()].sort().map(time => {
+    Object.assign(current, changes.get(time));
+    return { asin, snapshot_at: time, ...current };
+  });
+}
+
+/**
+ * Snapshot rows from the history columns of a CSV row
+ * @param {string} asin Product ASIN
+ * @param {Object} row Parsed CSV row
+ * @param {Object} historyMapping History type -> headers, from detectMappingProfile()
+ * @param {ValueParser} parser Parser that tallies cells that are not history arrays
+ * @returns {Array} Rows for insertSnapshots()
+ */
+export function rowHistorySnapshots(asin, row, historyMapping, parser) {
+  const histories = {};
+  for (const [type, headers] of Object.entries(historyMapping)) {
+    const { field, stride } = KEEPA_HISTORY_TYPES[type];
+    const header = headers.find(candidate => row[candidate] !== undefined && String(row[candidate]).trim() !== '');
+    if (!header) continue;
+
+    const values = parseHistoryArray(row[header], stride);
+    if (values) {
+      histories[field] = decodeHistory(values, type);
+    } else {
+      parser.reject(header, row[header]);
+    }
+  }
+  return historySnapshots(asin, histories);
+}
+
+/**
+ * Snapshot rows from a Keepa API product object, which keeps its histories
+ * in a csv array indexed by history type
+ * @param {Object} product { asin, csv: [[...], ...] }
+ * @returns {Array} Rows for insertSnapshots(), empty when the product has no usable history
+ */
+export function productHistorySnapshots(product) {
+  const histories = {};
+  for (const [type, { index, field, stride }] of Object.entries(KEEPA_HISTORY_TYPES)) {
+    const values = parseHistoryArray(product.csv?.[index], stride);
+    if (values) histories[field] = decodeHistory(values, type);
+  }
+  return historySnapshots(product.asin, histories);
+}
+
+/**
+ * Read a JSON sidecar file: a Keepa API product response ({ products: [...] }),
+ * an array of products or a single product
+ * @param {string} filePath Path to the JSON file
+ * @returns {Array} Keepa products that have an ASIN and a csv array
+ */
+export function readHistorySidecar(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const products = Array.isArray(data) ? data : Array.isArray(data?.products) ? data.products : [data];
+  return products.filter(product => typeof product?.asin === 'string' && Array.isArray(product.csv));
+}
+
+/**
+ * Check a sidecar before it is queued, so a file that is not one is skipped
+ * instead of failing its import on every start
+ * @param {string} filePath Path to the JSON file
+ * @returns {string|null} Why the file can't be imported, null when it can
+ */
+export function checkHistorySidecar(filePath) {
+  try {
+    return readHistorySidecar(filePath).length > 0 ? null : 'it has no Keepa products with an asin and a csv history array';
+  } catch (error) {
+    return `it is not valid JSON (${error.message})`;
+  }
+}
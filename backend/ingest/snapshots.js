@@ -0,0 +1,159 @@
+import fs from 'fs';
+
+/**
+ * Dated product snapshots
+ * Every CSV import is stored as a snapshot of price, sales rank and reviews
+ * per ASIN, so history accumulates across Keepa exports instead of being overwritten
+ */
+
+// Keepa names exports like "KeepaExport-2024-05-22-ProductViewer.csv"
+const FILENAME_DATE = /(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/;
+
+// price is the Buy Box price. amazon_price and new_price came later, so older databases get them added
+const SNAPSHOT_FIELDS = ['price', 'sales_rank', 'review_rating', 'review_count', 'amazon_price', 'new_price'];
+const ADDED_SNAPSHOT_COLUMNS = { amazon_price: 'REAL', new_price: 'REAL' };
+
+/**
+ * Date a CSV file was exported: the date in its filename when it has one,
+ * otherwise the file's modification time
+ * @param {string} filePath Path to the CSV file
+ * @param {string} filename File name
+ * @returns {string} ISO 8601 timestamp
+ */
+export function resolveSnapshotDate(filePath, filename) {
+  const match = filename.match(FILENAME_DATE);
+  if (match) {
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    // Reject things like 2024-13-45 that Date would silently roll over
+    if (date.getUTCFullYear() === Number(year) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)) {
+      return date.toISOString();
+    }
+  }
+
+  return fs.statSync(filePath).mtime.toISOString();
+}
+
+// Every source file keeps its own rows, so a Keepa history point that lands on the
+// date of an export never overwrites the export's snapshot, and deleting one file's
+// rows never takes another file's data with it
+const SNAPSHOT_TABLE = `
+  CREATE TABLE IF NOT EXISTS product_snapshots (
+    asin TEXT NOT NULL,
+    captured_at TEXT NOT NULL,
+    source_file TEXT NOT NULL DEFAULT '',
+    price REAL,
+    sales_rank INTEGER,
+    review_rating REAL,
+    review_count INTEGER,
+    amazon_price REAL,
+    new_price REAL,
+    PRIMARY KEY (asin, captured_at, source_file)
+  );
+`;
+
+/**
+ * Create the product_snapshots table
+ * @param {Object} db Open sqlite database
+ */
+export async function setupSnapshotTable(db) {
+  await db.exec(SNAPSHOT_TABLE);
+
+  const columns = await db.all('PRAGMA table_info(product_snapshots)');
+  const existing = new Set(columns.map(column => column.name));
+  for (const [column, type] of Object.entries(ADDED_SNAPSHOT_COLUMNS)) {
+    if (!existing.has(column)) {
+      console.log(`Adding column product_snapshots.${column}`);
+      await db.exec(`ALTER TABLE product_snapshots ADD COLUMN ${column} ${type}`);
+    }
+  }
+
+  // Tables created keyed by (asin, captured_at) alone are rebuilt with the new key
+  if (!columns.find(column => column.name === 'source_file').pk) {
+    console.log('Rebuilding product_snapshots keyed by source file...');
+    const copied = ['asin', 'captured_at', ...SNAPSHOT_FIELDS].join(', ');
+    await db.exec('BEGIN TRANSACTION');
+    try {
+      await db.exec(`
+        ALTER TABLE product_snapshots RENAME TO product_snapshots_old;
+        ${SNAPSHOT_TABLE}
+        INSERT INTO product_snapshots (source_file, ${copied})
+          SELECT COALESCE(source_file, ''), ${copied} FROM product_snapshots_old;
+        DROP TABLE product_snapshots_old;
+      `);
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_snapshots_captured_at ON product_snapshots(captured_at);
+    CREATE INDEX IF NOT EXISTS idx_snapshots_source_file ON product_snapshots(source_file);
+  `);
+}
+
+/**
+ * Record a batch of imported products as snapshots. A row the same file
+ * already has for that ASIN and time is replaced rather than duplicated
+ * @param {Object} db Open sqlite database
+ * @param {Array} products Product rows with snapshot_at set
+ * @param {string} sourceFile CSV file name the batch came from
+ */
+export async function insertSnapshots(db, products, sourceFile) {
+  const stmt = await db.prepare(`
+    INSERT INTO product_snapshots (asin, captured_at, source_file, ${SNAPSHOT_FIELDS.join(', ')})
+    VALUES (?, ?, ?, ${SNAPSHOT_FIELDS.map(() => '?').join(', ')})
+    ON CONFLICT(asin, captured_at, source_file) DO UPDATE SET
+      ${SNAPSHOT_FIELDS.map(field => `${field} = excluded.${field}`).join(',\n      ')}
+  `);
+
+  for (const product of products) {
+    await stmt.run([
+      product.asin,
+      product.snapshot_at,
+      sourceFile,
+      ...SNAPSHOT_FIELDS.map(field => (Number.isFinite(product[field]) ? product[field] : null))
+    ]);
+  }
+
+  await stmt.finalize();
+}
+
+
+/**
+ * Snapshot history of one product, oldest first. Rows of several files at the
+ * same time are merged into one, each field taken from the first file that has it
+ * @param {Object} db Open sqlite database
+ * @param {string} asin Product ASIN
+ * @returns {Promise<Array>} { capturedAt, sourceFile, price, salesRank, reviewRating, reviewCount, amazonPrice, newPrice }
+ */
+export async function getSnapshots(db, asin) {
+  const rows = await db.all(
+    `SELECT captured_at, source_file, ${SNAPSHOT_FIELDS.join(', ')}
+     FROM product_snapshots WHERE asin = ? ORDER BY captured_at, source_file`,
+    [asin]
+  );
+
+  const merged = [];
+  for (const row of rows) {
+    const previous = merged[merged.length - 1];
+    if (previous?.captured_at !== row.captured_at) {
+      merged.push(row);
+      continue;
+    }
+    for (const field of SNAPSHOT_FIELDS) previous[field] ??= row[field];
+  }
+
+  return merged.map(row => ({
+    capturedAt: row.captured_at,
+    sourceFile: row.source_file,
+    price: row.price,
+    salesRank: row.sales_rank,
+    reviewRating: row.review_rating,
+    reviewCount: row.review_count,
+    amazonPrice: row.amazon_price,
+    newPrice: row.new_price
+  }));
+}
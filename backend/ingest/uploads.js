@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import busboy from 'busboy';
+
+/**
+ * CSV uploads
+ * Streams a multipart upload straight to disk in the CSV directory so the
+ * file is imported by the same path as files dropped into csv/
+ */
+
+/**
+ * Error with the HTTP status the route should answer with
+ */
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Reduce a client-supplied file name to a safe .csv name inside the CSV directory
+ * @param {string} name Original file name
+ * @returns {string|null} Safe file name, null when it is not a CSV
+ */
+export function safeCsvFilename(name) {
+  const base = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').trim();
+  if (!base.toLowerCase().endsWith('.csv') || base.length <= 4 || base.startsWith('.')) return null;
+  return base;
+}
+
+// Partial uploads are written under this prefix, which no export name has
+const TEMP_PREFIX = '.upload-';
+
+// Suffixes tried for a name an active job uses, "export.csv" -> "export-2.csv" ... "export-99.csv"
+const MAX_NAME_SUFFIX = 99;
+
+/**
+ * Move a completed upload into place. An updated export uploaded under its
+ * existing name replaces the file - the imports ledger then skips it when the
+ * contents are unchanged or imports it again when they differ. A name an
+ * active job still reads from is never replaced: the upload gets a numeric
+ * suffix instead, linked so it never replaces another file either
+ * @param {string} tempPath Completed temporary file
+ * @param {string} dir Directory to store the file in
+ * @param {string} filename Wanted file name
+ * @param {Function} isReserved (filename) => true when an active job refers to that name
+ * @returns {string} The file name used
+ */
+function placeUpload(tempPath, dir, filename, isReserved) {
+  if (!isReserved(filename)) {
+    fs.renameSync(tempPath, path.join(dir, filename));
+    return filename;
+  }
+
+  const extension = path.extname(filename);
+  const stem = filename.slice(0, -extension.length);
+
+  for (let n = 2; n <= MAX_NAME_SUFFIX; n++) {
+    const candidate = `${stem}-${n}${extension}`;
+    if (isReserved(candidate)) continue;
+    try {
+      fs.linkSync(tempPath, path.join(dir, candidate));
+    } catch (error) {
+      if (error.code === 'EEXIST') continue;
+      throw error;
+    }
+    fs.rmSync(tempPath, { force: true });
+    return candidate;
+  }
+  throw new UploadError(`${filename} is still being imported and its numbered variants already exist in the CSV directory`, 409);
+}
+
+/**
+ * Remove the temporary files of uploads that never completed, e.g. when the
+ * server stopped mid-upload. Call before accepting uploads
+ * @param {string} dir CSV directory
+ * @returns {string[]} Names of the removed files
+ */
+export function removeStaleUploads(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const stale = fs.readdirSync(dir).filter(name => name.startsWith(TEMP_PREFIX));
+  for (const name of stale) {
+    fs.rmSync(path.join(dir, name), { force: true });
+  }
+  return stale;
+}
+
+/**
+ * Receive a single CSV file from a multipart request. The file is written
+ * under a temporary name and only moved into place once complete, so a
+ * partial upload never looks like an export. An upload replaces the file of
+ * the same name unless an active job still uses it (see placeUpload())
+ * @param {Object} req Express request
+ * @param {string} dir Directory to store the file in
+ * @param {Object} options { maxBytes, isReserved(filename) for names active jobs still refer to }
+ * @returns {Promise<Object>} { filename, path, size }
+ */
+export function receiveCsvUpload(req, dir, options = {}) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: options.maxBytes } });
+    } catch (error) {
+      return reject(new UploadError(`Expected a multipart/form-data upload: ${error.message}`));
+    }
+
+    let upload = null;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      if (upload) {
+        upload.out.destroy();
+        fs.rm(upload.tempPath, { force: true }, () => {});
+      }
+      req.unpipe(parser);
+      req.resume();
+      reject(error);
+    };
+
+    // A client that goes away mid-upload never gets busboy to 'close'
+    const abort = () => fail(new UploadError('Upload was aborted by the client'));
+    req.on('aborted', abort);
+    req.on('close', () => {
+      if (!req.complete) abort();
+    });
+
+    parser.on('file', (field, stream, info) => {
+      const filename = safeCsvFilename(info.filename);
+      if (upload || !filename) {
+        stream.resume();
+        return fail(new UploadError(upload ? 'Upload one file at a time' : 'Only .csv files can be imported'));
+      }
+
+      fs.mkdirSync(dir, { recursive: true });
+      const tempPath = path.join(dir, `${TEMP_PREFIX}${crypto.randomUUID()}`);
+      upload = {
+        filename,
+        tempPath,
+        size: 0,
+        out: fs.createWriteStream(tempPath),
+        written: null
+      };
+      upload.written = new Promise((resolveWrite, rejectWrite) => {
+        upload.out.on('finish', resolveWrite);
+        upload.out.on('error', rejectWrite);
+      });
+
+      stream.on('data', chunk => { upload.size += chunk.length; });
+      stream.on('limit', () => fail(new UploadError(`File is larger than ${options.maxBytes} bytes`, 413)));
+      stream.pipe(upload.out);
+    });
+
+    parser.on('error', error => fail(new UploadError(`Upload failed: ${error.message}`)));
+
+    parser.on('close', async () => {
+      if (failed) return;
+      if (!upload) return fail(new UploadError('No CSV file in the upload (use a "file" form field)'));
+
+      try {
+        await upload.written;
+        if (failed) return;
+        const filename = placeUpload(upload.tempPath, dir, upload.filename, options.isReserved || (() => false));
+        resolve({ filename, path: path.join(dir, filename), size: upload.size });
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.pipe(parser);
+  });
+}
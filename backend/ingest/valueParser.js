@@ -0,0 +1,141 @@
+/**
+ * Keepa value parsing
+ * Turns export cells like "$1,299.00", "12,50 €", "1.204", "15 %" or "-" into
+ * numbers, and counts the cells that could not be parsed per column
+ */
+
+// Cells Keepa (and spreadsheet round-trips) use for "no value"
+const EMPTY_MARKERS = new Set(['', '-', '–', '—', 'n/a', 'na', 'null', 'none', '?']);
+
+// Currency symbols and codes that may surround a price
+const CURRENCY = /\p{L}{0,3}[$€£¥₹₩]|(?<!\p{L})(?:usd|eur|gbp|cad|aud|jpy|inr|mxn|brl|sek|pln|chf|try|aed|sar|sgd|egp|zł|kr)(?!\p{L})/giu;
+
+// Currencies whose marketplaces write decimal commas ("1.299,00 €")
+const DECIMAL_COMMA_CURRENCY = /€|R\$|(?<!\p{L})(?:eur|sek|pln|try|brl|zł|kr)(?!\p{L})/iu;
+
+// Sample values are cut short so a long cell, like a history array, can't flood the logs
+const MAX_SAMPLE_LENGTH = 80;
+
+const NUMBER_SHAPE = /^[+-]?(?:\d|[.,'](?=\d))+$/;
+
+/**
+ * Work out which separator is the decimal point in a digits-and-separators string
+ * @param {string} digits Number text with only digits, '.', ',' and a sign
+ * @param {Object} hints { kind, decimal, decimalComma }
+ * @returns {string|null} '.', ',' or null when the number has no decimal part
+ */
+function decimalSeparator(digits, { kind, decimal, decimalComma }) {
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot === -1 && lastComma === -1) return null;
+  if (decimal === '.' || decimal === ',') return digits.includes(decimal) ? decimal : null;
+
+  // Both present: whichever comes last is the decimal point ("1,299.00" / "1.299,00")
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+
+  const separator = lastDot !== -1 ? '.' : ',';
+  const occurrences = digits.split(separator).length - 1;
+  const fractionDigits = digits.length - digits.lastIndexOf(separator) - 1;
+
+  // Repeated separators are always grouping ("1,204,311" / "1.204.311")
+  if (occurrences > 1) return null;
+  // A single separator followed by three digits is grouping for counts, for
+  // decimal-comma currencies when it is a dot, and for commas elsewhere
+  if (fractionDigits === 3) {
+    if (kind === 'integer') return null;
+    if (separator === '.') return decimalComma ? null : '.';
+    return decimalComma ? ',' : null;
+  }
+  return separator;
+}
+
+/**
+ * Parse one Keepa cell
+ * @param {*} raw Cell value
+ * @param {string} kind 'currency', 'decimal', 'integer' or 'percent' (percent points, "15 %" is 15)
+ * @param {Object} options { decimal: '.' | ',' } to force the decimal separator
+ * @returns {Object} { value, error } - value is null for empty markers and for errors
+ */
+export function parseKeepaValue(raw, kind = 'decimal', options = {}) {
+  if (raw === undefined || raw === null) return { value: null, error: false };
+  if (typeof raw === 'number') return { value: Number.isFinite(raw) ? raw : null, error: !Number.isFinite(raw) };
+
+  const text = String(raw).trim();
+  if (EMPTY_MARKERS.has(text.toLowerCase())) return { value: null, error: false };
+
+  const decimalComma = DECIMAL_COMMA_CURRENCY.test(text);
+  const digits = text
+    .replace(CURRENCY, '')
+    .replace(/%/g, '')
+    .replace(/\s/g, '')
+    .replace(/^\((.*)\)$/, '-$1');
+
+  if (!NUMBER_SHAPE.test(digits)) return { value: null, error: true };
+
+  const separator = decimalSeparator(digits, { kind, decimal: options.decimal, decimalComma });
+  // Drop the grouping separators, then make the decimal separator a dot
+  const grouping = separator === null ? /[.,']/g : new RegExp(`[${separator === ',' ? '.' : ','}']`, 'g');
+  const normalized = digits.replace(grouping, '').replace(',', '.');
+
+  const value = Number(normalized);
+  if (!Number.isFinite(value)) return { value: null, error: true };
+
+  return { value: kind === 'integer' ? Math.round(value) : value, error: false };
+}
+
+/**
+ * Parses cells for an import and keeps a per-column tally of unparseable values
+ */
+export class ValueParser {
+  /**
+   * @param {Object} options { decimal: '.' | ',' } to force the decimal separator
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.errors = {};
+    this.samples = {};
+  }
+
+  /**
+   * Parse a cell, counting it against the column when it is not a number
+   * @param {string} column Column the value belongs to
+   * @param {*} raw Cell value
+   * @param {string} kind Value kind, see parseKeepaValue()
+   * @returns {number|null} Parsed value
+   */
+  parse(column, raw, kind) {
+    const { value, error } = parseKeepaValue(raw, kind, this.options);
+    if (error) this.reject(column, raw);
+    return value;
+  }
+
+  /**
+   * Count a cell that could not be read against its column
+   * @param {string} column Column the value belongs to
+   * @param {*} raw Cell value
+   */
+  reject(column, raw) {
+    this.errors[column] = (this.errors[column] || 0) + 1;
+    // Keep a few offending values so the problem can be diagnosed from logs
+    this.samples[column] = this.samples[column] || [];
+    if (this.samples[column].length < 3) this.samples[column].push(String(raw).slice(0, MAX_SAMPLE_LENGTH));
+  }
+
+  /**
+   * Total number of unparseable cells
+   * @returns {number} Error count across all columns
+   */
+  get errorCount() {
+    return Object.values(this.errors).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Per-column error counts with sample values
+   * @returns {Object} { column: { count, samples } }
+   */
+  summary() {
+    return Object.fromEntries(Object.entries(this.errors)
+      .map(([column, count]) => [column, { count, samples: this.samples[column] }]));
+  }
+}
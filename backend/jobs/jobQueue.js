@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+/**
+ * Background job queue
+ * Long-running work (CSV imports, vector index builds) runs here one job at a
+ * time. Jobs live in the SQLite jobs table so their state, progress and
+ * errors survive a restart; the running job is also kept in memory for
+ * cheap progress updates. The jobs table has a database file of its own: an
+ * import holds a transaction on the product database for its whole run, and
+ * rolling it back must not take job rows with it
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Progress is written to SQLite at most this often while a job runs
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+/**
+ * Thrown inside a job when it notices its cancellation was requested
+ */
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Run context for work started outside the queue, e.g. when the database
+ * (and so the queue) is unavailable. Reports nowhere and is never cancelled
+ * @returns {Object} { signal, throwIfCancelled, progress, details }
+ */
+export function detachedJobContext() {
+  return {
+    signal: new AbortController().signal,
+    throwIfCancelled: () => {},
+    progress: () => {},
+    details: () => {}
+  };
+}
+
+function formatDuration(seconds) {
+  if (seconds < 90) return `${seconds}s`;
+  if (seconds < 90 * 60) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+/**
+ * One-line progress of a job, e.g. "embedding 12,400 / 80,000 (15.5%, ~6 min left)"
+ * @param {Object|null} job Job as returned by the queue
+ * @returns {string|null} Description, null without a job
+ */
+export function describeJobProgress(job) {
+  if (!job) return null;
+
+  const { current, total, percent } = job.progress;
+  let text = job.stage || job.status;
+  if (total > 0) text += ` ${current.toLocaleString('en-US')} / ${total.toLocaleString('en-US')}`;
+
+  const notes = [];
+  if (percent !== null) notes.push(`${percent}%`);
+  if (job.etaSeconds !== null) notes.push(`~${formatDuration(job.etaSeconds)} left`);
+  return notes.length > 0 ? `${text} (${notes.join(', ')})` : text;
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Open the jobs database file and set up a queue on its own connection
+ * @param {string} filename Path to the jobs database, never the product database
+ * @returns {Promise<JobQueue>} Queue ready to take jobs
+ */
+export async function openJobQueue(filename) {
+  const queue = new JobQueue(await open({ filename, driver: sqlite3.Database }));
+  await queue.setup();
+  return queue;
+}
+
+export class JobQueue {
+  /**
+   * @param {Object} db Open sqlite database
+   */
+  constructor(db) {
+    this.db = db;
+    this.live = new Map(); // id -> in-memory job for queued and running jobs
+    this.tasks = new Map(); // id -> { run, controller, done, markDone }
+    this.queue = []; // ids waiting to run, in order
+    this.running = null;
+  }
+
+  /**
+   * Create the jobs table and close out jobs a previous process left unfinished
+   */
+  async setup() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        label TEXT,
+        status TEXT NOT NULL,
+        stage TEXT,
+        progress_current INTEGER NOT NULL DEFAULT 0,
+        progress_total INTEGER NOT NULL DEFAULT 0,
+        message TEXT,
+        details TEXT,
+        result TEXT,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        stage_started_at TEXT,
+        finished_at TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
+    `);
+
+    const now = new Date().toISOString();
+    const { changes } = await this.db.run(
+      `UPDATE jobs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = ?, updated_at = ?
+       WHERE status IN ('queued', 'running')`,
+      [now, now]
+    );
+    if (changes > 0) {
+      console.warn(`Marked ${changes} unfinished jobs from the previous run as failed`);
+    }
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type Job type, e.g. 'import' or 'vector-index'
+   * @param {string} label Human-readable description
+   * @param {Function} run async (context) => result; context is
+   *   { signal, progress({ current, total, stage, message }), details(object), throwIfCancelled() }
+   * @param {Object} details Initial job details
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(type, label, run, details = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      label,
+      status: 'queued',
+      stage: null,
+      progressCurrent: 0,
+      progressTotal: 0,
+      message: null,
+      details,
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      stageStartedAt: null,
+      stageStartCurrent: 0,
+      finishedAt: null,
+      updatedAt: now,
+      lastWrite: 0
+    };
+
+    await this.db.run(
+      `INSERT INTO jobs (id, type, label, status, details, created_at, updated_at)
+       VALUES (?, ?, ?, 'queued', ?, ?, ?)`,
+      [job.id, type, label, JSON.stringify(details), now, now]
+    );
+
+    let markDone;
+    const done = new Promise(resolve => { markDone = resolve; });
+    this.live.set(job.id, job);
+    this.tasks.set(job.id, { run, controller: new AbortController(), done, markDone });
+    this.queue.push(job.id);
+    this.pump();
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * Queue a job and wait for it to finish
+   * @returns {Promise<Object>} The finished job
+   */
+  async enqueueAndWait(type, label, run, details = {}) {
+    const { id } = await this.enqueue(type, label, run, details);
+    return this.waitFor(id);
+  }
+
+  /**
+   * Resolve once a job has finished, whatever its outcome
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} The finished job
+   */
+  async waitFor(id) {
+    const task = this.tasks.get(id);
+    if (task) await task.done;
+    return this.get(id);
+  }
+
+  /**
+   * Start the next queued job if nothing is running
+   */
+  pump() {
+    if (this.running || this.queue.length === 0) return;
+
+    const id = this.queue.shift();
+    this.running = id;
+    this.execute(id)
+      .catch(error => console.error(`Job ${id} bookkeeping error: ${error.message}`))
+      .finally(() => {
+        this.running = null;
+        this.pump();
+      });
+  }
+
+  async execute(id) {
+    const job = this.live.get(id);
+    const { run, controller } = this.tasks.get(id);
+
+    if (controller.signal.aborted) {
+      await this.finish(job, 'cancelled');
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.stageStartedAt = job.startedAt;
+    await this.persist(job);
+    console.log(`Job ${job.id} started: ${job.label}`);
+
+    const context = {
+      signal: controller.signal,
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) throw new JobCancelledError();
+      },
+      progress: (update) => this.progress(job, update),
+      details: (update) => {
+        Object.assign(job.details, update);
+        this.scheduleWrite(job);
+      }
+    };
+
+    try {
+      job.result = (await run(context)) ?? null;
+      await this.finish(job, controller.signal.aborted ? 'cancelled' : 'completed');
+    } catch (error) {
+      if (controller.signal.aborted || error instanceof JobCancelledError) {
+        await this.finish(job, 'cancelled');
+      } else {
+        job.error = error.message;
+        console.error(`Job ${job.id} failed: ${error.message}`);
+        await this.finish(job, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Record progress of a running job
+   * @param {Object} job Live job
+   * @param {Object} update { current, total, stage, message }
+   */
+  progress(job, { current, total, stage, message } = {}) {
+    if (stage !== undefined && stage !== job.stage) {
+      // A new stage restarts the counters the ETA is computed from. A stage can start
+      // part way through (a resumed index build), so the rate counts from where it started
+      job.stage = stage;
+      job.stageStartedAt = new Date().toISOString();
+      job.stageStartCurrent = current ?? 0;
+      job.progressCurrent = 0;
+      job.progressTotal = 0;
+    }
+    if (current !== undefined) job.progressCurrent = current;
+    if (total !== undefined) job.progressTotal = total;
+    if (message !== undefined) job.message = message;
+    this.scheduleWrite(job);
+  }
+
+  scheduleWrite(job) {
+    job.updatedAt = new Date().toISOString();
+    if (Date.now() - job.lastWrite >= PROGRESS_WRITE_INTERVAL_MS) {
+      this.persist(job).catch(error => console.warn(`Could not save progress of job ${job.id}: ${error.message}`));
+    }
+  }
+
+  async persist(job) {
+    job.lastWrite = Date.now();
+    job.updatedAt = new Date().toISOString();
+    await this.db.run(
+      `UPDATE jobs SET status = ?, stage = ?, progress_current = ?, progress_total = ?, message = ?,
+         details = ?, result = ?, error = ?, started_at = ?, stage_started_at = ?, finished_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        job.status, job.stage, job.progressCurrent, job.progressTotal, job.message,
+        JSON.stringify(job.details), JSON.stringify(job.result), job.error,
+        job.startedAt, job.stageStartedAt, job.finishedAt, job.updatedAt, job.id
+      ]
+    );
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    if (status === 'cancelled') job.message = null; // drop the 'Cancelling...' note
+    job.finishedAt = new Date().toISOString();
+    await this.persist(job);
+    const task = this.tasks.get(job.id);
+    this.live.delete(job.id);
+    this.tasks.delete(job.id);
+    task?.markDone();
+    console.log(`Job ${job.id} ${status}: ${job.label}`);
+  }
+
+  /**
+   * Request cancellation. A queued job is cancelled right away; a running
+   * job stops at its next cancellation check
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} The job, null if unknown
+   */
+  async cancel(id) {
+    const job = this.live.get(id);
+    if (!job) return this.get(id);
+
+    this.tasks.get(id).controller.abort();
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      await this.finish(job, 'cancelled');
+    } else {
+      job.message = 'Cancelling...';
+      await this.persist(job);
+    }
+    return this.toJSON(job);
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} Job, null if unknown
+   */
+  async get(id) {
+    if (this.live.has(id)) return this.toJSON(this.live.get(id));
+    const row = await this.db.get('SELECT * FROM jobs WHERE id = ?', [id]);
+    return row ? this.toJSON(this.fromRow(row)) : null;
+  }
+
+  /**
+   * Most recent jobs, newest first
+   * @param {Object} options { limit, status, type }
+   * @returns {Promise<Array>} Jobs
+   */
+  async list({ limit = 50, status, type } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    const rows = await this.db.all(
+      `SELECT * FROM jobs ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC LIMIT ?`,
+      [...params, limit]
+    );
+    // Live jobs carry progress newer than their last database write
+    return rows.map(row => this.toJSON(this.live.get(row.id) || this.fromRow(row)));
+  }
+
+  /**
+   * The job currently running, if any
+   * @returns {Object|null} Job
+   */
+  current() {
+    return this.running && this.live.has(this.running) ? this.toJSON(this.live.get(this.running)) : null;
+  }
+
+  /**
+   * Jobs that are queued or running
+   * @returns {Array} Jobs
+   */
+  active() {
+    return [...this.live.values()].map(job => this.toJSON(job));
+  }
+
+  /**
+   * Number of jobs waiting behind the running one
+   * @returns {number} Queue length
+   */
+  get pendingCount() {
+    return this.queue.length;
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      label: row.label,
+      status: row.status,
+      stage: row.stage,
+      progressCurrent: row.progress_current,
+      progressTotal: row.progress_total,
+      message: row.message,
+      details: parseJson(row.details, {}),
+      result: parseJson(row.result, null),
+      error: row.error,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      stageStartedAt: row.stage_started_at,
+      finishedAt: row.finished_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Public shape of a job, with percent complete and the ETA of the current stage
+   */
+  toJSON(job) {
+    const { progressCurrent: current, progressTotal: total } = job;
+    const percent = total > 0 ? Math.min(100, Math.round((current / total) * 1000) / 10) : null;
+
+    let etaSeconds = null;
+    const done = current - (job.stageStartCurrent ?? 0);
+    if (job.status === 'running' && total > 0 && done > 0 && current < total && job.stageStartedAt) {
+      const elapsed = (Date.now() - Date.parse(job.stageStartedAt)) / 1000;
+      etaSeconds = Math.round((elapsed / done) * (total - current));
+    }
+
+    return {
+      id: job.id,
+      type: job.type,
+      label: job.label,
+      status: job.status,
+      stage: job.stage,
+      progress: { current, total, percent },
+      etaSeconds,
+      message: job.message,
+      details: job.details,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
@@ -0,0 +1,171 @@
+import { TemplateProvider } from './providers.js';
+import { extractAsins } from '../analytics/queryIntent.js';
+
+/**
+ * Grounded answer generation
+ * Turns the retrieved product documents and the question into a prompt,
+ * runs it through the configured provider and collects the ASIN citations
+ */
+
+const MAX_CONTEXT_DOCUMENTS = 10;
+const MAX_DOCUMENT_CHARS = 600;
+const MAX_HISTORY_MESSAGES = 6;
+
+const SYSTEM_PROMPT = [
+  'You are KeepaGPT, an assistant that answers questions about Amazon products using Keepa export data.',
+  'Answer only from the product documents provided. If they do not contain the answer, say so.',
+  'Cite every product you mention with its ASIN in square brackets, for example [B000000000].',
+  'Keep answers short and factual; use a numbered list when naming several products.'
+].join(' ');
+
+const fallbackProvider = new TemplateProvider();
+
+/**
+ * Render one retrieved document as a context block for the prompt
+ * @param {Object} doc Search or analytics result
+ * @returns {string} Context block headed by the ASIN
+ */
+function formatDocument(doc) {
+  const metadata = doc.metadata || {};
+  const lines = [`[${metadata.asin}] ${metadata.title || 'Unknown product'}`];
+
+  if (metadata.brand) lines.push(`Brand: ${metadata.brand}`);
+
+  if (doc.values) {
+    const facts = Object.entries(doc.values)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}: ${value}`);
+    if (facts.length > 0) lines.push(facts.join(', '));
+  }
+
+  if (doc.pageContent) {
+    const content = doc.pageContent.replace(/\s+/g, ' ').trim();
+    lines.push(content.length > MAX_DOCUMENT_CHARS ? `${content.slice(0, MAX_DOCUMENT_CHARS)}...` : content);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the chat messages for a grounded answer
+ * @param {string} question User question
+ * @param {Array} documents Retrieved documents
+ * @param {string|null} analyticsAnswer Answer already computed with SQL, if any
+ * @param {Array} history Earlier { role, content } turns of the conversation
+ * @returns {Array} OpenAI-style chat messages
+ */
+export function buildAnswerMessages(question, documents, analyticsAnswer = null, history = []) {
+  const context = documents.slice(0, MAX_CONTEXT_DOCUMENTS).map(formatDocument).join('\n\n');
+
+  let userContent = `Product documents:\n\n${context || '(no matching products)'}\n\n`;
+  if (analyticsAnswer) {
+    userContent += `Computed from the product database:\n${analyticsAnswer}\n\n`;
+  }
+  userContent += `Question: ${question}`;
+
+  // Earlier turns give the model the conversation so far; documents only come with the latest question
+  const previousTurns = history
+    .slice(-MAX_HISTORY_MESSAGES)
+    .filter(turn => turn.content)
+    .map(turn => ({ role: turn.role, content: turn.content }));
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...previousTurns,
+    { role: 'user', content: userContent }
+  ];
+}
+
+/**
+ * ASINs cited in an answer that actually belong to the retrieved documents
+ * @param {string} answer Generated answer
+ * @param {Array} documents Retrieved documents
+ * @returns {string[]} Cited ASINs in order of appearance
+ */
+export function collectCitations(answer, documents) {
+  const known = new Set(documents.map(doc => doc.metadata?.asin).filter(Boolean));
+  return extractAsins(answer).filter(asin => known.has(asin));
+}
+
+/**
+ * Build the provider request for a question and its retrieved documents
+ */
+function buildRequest({ question, documents = [], analyticsAnswer = null, history = [] }) {
+  return {
+    question,
+    documents,
+    analyticsAnswer,
+    messages: buildAnswerMessages(question, documents, analyticsAnswer, history)
+  };
+}
+
+/**
+ * Generate a grounded answer with the given provider, falling back to the
+ * template provider when the model fails
+ * @param {Object} provider Provider from createLLMProvider()
+ * @param {Object} input { question, documents, analyticsAnswer, history }
+ * @param {Object} options { signal } to abort the model call
+ * @returns {Promise<Object>} { answer, citations, provider }
+ */
+export async function generateAnswer(provider, input, options = {}) {
+  const request = buildRequest(input);
+
+  let answer;
+  let providerName = provider.name;
+
+  try {
+    answer = await provider.generate(request, options);
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+
+    console.warn(`Answer generation with ${provider.name} failed, using template: ${error.message}`);
+    answer = await fallbackProvider.generate(request);
+    providerName = fallbackProvider.name;
+  }
+
+  return {
+    answer,
+    citations: collectCitations(answer, request.documents),
+    provider: providerName
+  };
+}
+
+/**
+ * Stream a grounded answer chunk by chunk. Falls back to the template
+ * provider only if the model fails before producing any text
+ * @param {Object} provider Provider from createLLMProvider()
+ * @param {Object} input { question, documents, analyticsAnswer, history }
+ * @param {Object} options { signal, onToken(text) }
+ * @returns {Promise<Object>} { answer, citations, provider } once the stream ends
+ */
+export async function streamAnswer(provider, input, options = {}) {
+  const request = buildRequest(input);
+  const onToken = options.onToken || (() => {});
+
+  let answer = '';
+  let providerName = provider.name;
+
+  const consume = async (source) => {
+    for await (const text of source.stream(request, options)) {
+      if (options.signal?.aborted) break;
+      answer += text;
+      onToken(text);
+    }
+  };
+
+  try {
+    await consume(provider);
+  } catch (error) {
+    if (options.signal?.aborted || answer.length > 0) throw error;
+
+    console.warn(`Answer streaming with ${provider.name} failed, using template: ${error.message}`);
+    providerName = fallbackProvider.name;
+    await consume(fallbackProvider);
+  }
+
+  return {
+    answer,
+    citations: collectCitations(answer, request.documents),
+    provider: providerName
+  };
+}
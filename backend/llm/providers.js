@@ -0,0 +1,139 @@
+import OpenAI from 'openai';
+
+/**
+ * Answer generation providers
+ * Every provider exposes the same generate(request, options) method and a
+ * stream(request, options) async generator yielding text chunks, where the
+ * request carries the question, the retrieved product documents, an optional
+ * precomputed analytics answer and the chat messages built from them
+ */
+
+/**
+ * Format a number of search results as a numbered list with ASIN citations
+ * @param {Array} documents Retrieved documents
+ * @returns {string} One line per document
+ */
+function listDocuments(documents) {
+  return documents.map((doc, index) => {
+    const metadata = doc.metadata || {};
+    const relevance = doc.score !== undefined
+      ? ` (Relevance: ${Math.round((1 - doc.score) * 100)}%)`
+      : '';
+    return `${index + 1}. ${metadata.title || 'Unknown product'} [${metadata.asin || 'Unknown ASIN'}]${relevance}`;
+  }).join('\n');
+}
+
+/**
+ * Deterministic provider - no model involved, the answer is templated from
+ * the retrieved documents. Used for tests and as the fallback when the
+ * configured model is unreachable
+ */
+export class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  async generate(request) {
+    const { question, documents = [], analyticsAnswer } = request;
+
+    // Analytics answers are already computed and cite their ASINs
+    if (analyticsAnswer) return analyticsAnswer;
+
+    if (documents.length === 0) {
+      return "I couldn't find any relevant products matching your query.";
+    }
+
+    return `Based on your query "${question}", I found ${documents.length} relevant products:\n\n` +
+      `${listDocuments(documents)}\n\n` +
+      'For more detailed analysis on these products, you can ask specific questions about pricing trends, sales rank, or other metrics.';
+  }
+
+  async *stream(request) {
+    const answer = await this.generate(request);
+
+    // Word-sized chunks, whitespace kept so the chunks join back to the answer
+    for (const chunk of answer.match(/\S+\s*|\s+/g) || []) {
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint - OpenAI itself,
+ * or a local llama.cpp server / Ollama exposing the /v1 API
+ */
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model;
+    this.temperature = options.temperature ?? 0.2;
+    this.maxTokens = options.maxTokens || 512;
+    this.client = new OpenAI({
+      baseURL: options.baseURL,
+      // Local servers ignore the key, but the client requires one
+      apiKey: options.apiKey || 'not-needed',
+      timeout: options.timeout || 60000,
+      maxRetries: options.maxRetries ?? 1
+    });
+  }
+
+  async generate(request, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    }, { signal: options.signal });
+
+    const content = completion.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Model returned an empty completion');
+    }
+    return content.trim();
+  }
+
+  async *stream(request, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stream: true
+    }, { signal: options.signal });
+
+    for await (const chunk of completion) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+/**
+ * Create the provider selected by the environment
+ * LLM_PROVIDER=template (default) or openai; the openai provider reads
+ * LLM_BASE_URL, LLM_MODEL, LLM_API_KEY, LLM_TEMPERATURE, LLM_MAX_TOKENS and LLM_TIMEOUT_MS
+ * @param {Object} env Environment variables
+ * @returns {TemplateProvider|OpenAICompatibleProvider} Configured provider
+ */
+export function createLLMProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'template').toLowerCase();
+
+  switch (providerName) {
+    case 'template':
+      return new TemplateProvider();
+    case 'openai':
+    case 'ollama':
+    case 'llamacpp':
+      return new OpenAICompatibleProvider({
+        // Ollama's OpenAI-compatible API is the default local stand-in
+        baseURL: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        model: env.LLM_MODEL || 'llama3.1',
+        apiKey: env.LLM_API_KEY,
+        temperature: env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : undefined,
+        maxTokens: env.LLM_MAX_TOKENS ? parseInt(env.LLM_MAX_TOKENS, 10) : undefined,
+        timeout: env.LLM_TIMEOUT_MS ? parseInt(env.LLM_TIMEOUT_MS, 10) : undefined
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected template or openai)`);
+  }
+}
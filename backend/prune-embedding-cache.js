@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { pruneEmbeddingCache } from './embedding/embeddingCache.js';
+
+// Prune the embedding cache database
+// Usage: npm run prune-cache -- [--days N] [--model <id>] [--all] [--vacuum]
+//   --days N      delete entries not used in the last N days (default 30)
+//   --model <id>  only delete entries of this model (combine with --days, or alone to drop the model)
+//   --all         delete every entry
+//   --vacuum      compact the database file afterwards
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DB_PATH = path.join(__dirname, 'database', 'embedding_cache.db');
+
+function parseArgs(argv) {
+  const options = { all: false, vacuum: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--days':
+        options.unusedForDays = Number(argv[++i]);
+        if (!Number.isFinite(options.unusedForDays) || options.unusedForDays < 0) {
+          throw new Error('--days needs a number of days');
+        }
+        break;
+      case '--model':
+        options.model = argv[++i];
+        if (!options.model) throw new Error('--model needs a model id');
+        break;
+      case '--all':
+        options.all = true;
+        break;
+      case '--vacuum':
+        options.vacuum = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!options.all && !options.model && options.unusedForDays === undefined) {
+    options.unusedForDays = 30;
+  }
+  return options;
+}
+
+async function pruneCache() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(DB_PATH)) {
+    console.log('No embedding cache yet - nothing to prune');
+    return;
+  }
+  const db = await open({ filename: DB_PATH, driver: sqlite3.Database });
+
+  try {
+    const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'embedding_cache'");
+    if (!table) {
+      console.log('No embedding cache yet - nothing to prune');
+      return;
+    }
+
+    const deleted = await pruneEmbeddingCache(db, options);
+    const { remaining } = await db.get('SELECT COUNT(*) AS remaining FROM embedding_cache');
+    console.log(`Deleted ${deleted} cached embeddings, ${remaining} remain`);
+
+    if (options.vacuum) {
+      console.log('Compacting the database...');
+      await db.exec('VACUUM');
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+pruneCache().catch(error => {
+  console.error(`Cache prune failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+import { extractAsins } from '../analytics/queryIntent.js';
+import { buildFilterConditions, findMatchingAsins, hasFilters } from './productFilters.js';
+import { attachProducts } from './productRecords.js';
+
+/**
+ * Hybrid product retrieval
+ * Combines BM25 full-text search over the products_fts index with HNSW vector
+ * search using reciprocal-rank fusion. Exact ASIN matches always rank first
+ */
+
+export const SEARCH_MODES = ['vector', 'lexical', 'hybrid'];
+
+// Standard RRF damping constant - keeps a single top rank from dominating
+const RRF_K = 60;
+// Each retriever contributes this many candidates per requested result
+const CANDIDATE_MULTIPLIER = 3;
+// bm25() column weights: asin, title, brand, model, description
+const BM25_WEIGHTS = [10.0, 5.0, 3.0, 8.0, 1.0];
+
+/**
+ * Turn free text into an FTS5 query - every token quoted and ORed, so user
+ * input can never be parsed as FTS syntax
+ * @param {string} query User query
+ * @returns {string|null} FTS5 MATCH expression, or null when there are no tokens
+ */
+export function buildFtsQuery(query) {
+  const tokens = (query.match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 || /\d/.test(token));
+  if (tokens.length === 0) return null;
+  return [...new Set(tokens)].map(token => `"${token}"`).join(' OR ');
+}
+
+/**
+ * BM25 full-text search over products_fts
+ * @param {Object} db Open sqlite database
+ * @param {string} query User query
+ * @param {number} limit Maximum number of hits
+ * @param {Object|null} filters Normalized product filters
+ * @returns {Promise<Array>} Results shaped like vector store hits, best first
+ */
+export async function lexicalSearch(db, query, limit, filters = null) {
+  const ftsQuery = buildFtsQuery(query);
+  if (!ftsQuery) return [];
+
+  const { conditions, params } = buildFilterConditions(filters);
+  const filterSql = conditions.length > 0
+    ? `AND p.asin IN (SELECT asin FROM products WHERE ${conditions.join(' AND ')})`
+    : '';
+
+  const rows = await db.all(
+    `SELECT p.asin, p.title, p.brand,
+            snippet(products_fts, 4, '', '', '…', 24) AS snippet,
+            bm25(products_fts, ${BM25_WEIGHTS.join(', ')}) AS bm25
+     FROM products_fts
+     JOIN products p ON p.rowid = products_fts.rowid
+     WHERE products_fts MATCH ? ${filterSql}
+     ORDER BY bm25
+     LIMIT ?`,
+    [ftsQuery, ...params, limit]
+  );
+
+  return rows.map(row => ({
+    pageContent: [row.title, row.snippet].filter(Boolean).join('\n'),
+    metadata: {
+      asin: row.asin,
+      title: row.title,
+      brand: row.brand,
+      source: 'lexical'
+    },
+    bm25: row.bm25
+  }));
+}
+
+/**
+ * Products whose ASIN appears verbatim in the query
+ */
+async function exactAsinMatches(db, query, filters) {
+  const asins = extractAsins(query);
+  if (asins.length === 0) return [];
+
+  const { conditions, params } = buildFilterConditions(filters);
+  const rows = await db.all(
+    `SELECT asin, title, brand, description FROM products
+     WHERE ${[`asin IN (${asins.map(() => '?').join(', ')})`, ...conditions].join(' AND ')}`,
+    [...asins, ...params]
+  );
+
+  // Keep the order the ASINs were mentioned in
+  const byAsin = new Map(rows.map(row => [row.asin, row]));
+  return asins.filter(asin => byAsin.has(asin)).map(asin => {
+    const row = byAsin.get(asin);
+    return {
+      pageContent: [row.title, row.description].filter(Boolean).join('\n'),
+      metadata: { asin: row.asin, title: row.title, brand: row.brand, source: 'exact' },
+      exactMatch: true
+    };
+  });
+}
+
+/**
+ * Merge ranked lists with reciprocal-rank fusion, one entry per ASIN
+ * @param {Object} lists Named ranked result lists, e.g. { vector, lexical }
+ * @returns {Array} Fused results, best first, each with fusedScore and per-list ranks
+ */
+export function reciprocalRankFusion(lists) {
+  const fused = new Map();
+
+  for (const [name, results] of Object.entries(lists)) {
+    results.forEach((result, index) => {
+      const asin = result.metadata?.asin;
+      if (!asin) return;
+
+      const entry = fused.get(asin) || { ...result, fusedScore: 0, ranks: {} };
+      // Prefer the vector hit's content and distance score when both lists found it
+      if (name === 'vector' && entry.score === undefined) {
+        Object.assign(entry, result, { fusedScore: entry.fusedScore, ranks: entry.ranks });
+      }
+      if (entry.ranks[name] === undefined) {
+        entry.ranks[name] = index + 1;
+        entry.fusedScore += 1 / (RRF_K + index + 1);
+      }
+      fused.set(asin, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Retrieve products for a query
+ * @param {Object} options
+ * @param {Object} options.db Open sqlite database
+ * @param {Object} options.vectorStore HNSWVectorStore (not needed for lexical mode)
+ * @param {string} options.query User query
+ * @param {number} options.k Number of results
+ * @param {string} options.mode 'vector', 'lexical' or 'hybrid'
+ * @param {Object|null} options.filters Normalized product filters
+ * @param {string[]|null} options.fields Product fields to attach to each result (see productRecords.js), null for none
+ * @returns {Promise<Array>} Up to k results, exact ASIN matches first
+ */
+export async function retrieveProducts({ db, vectorStore, query, k, mode = 'hybrid', filters = null, fields = null }) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode "${mode}"`);
+  }
+
+  const candidates = k * CANDIDATE_MULTIPLIER;
+  const lists = {};
+
+  if (mode !== 'lexical') {
+    let filter;
+    if (hasFilters(filters)) {
+      const allowed = db ? await findMatchingAsins(db, filters) : new Set(filters.asins || []);
+      filter = (doc) => allowed.has(doc.metadata?.asin);
+    }
+    lists.vector = await vectorStore.similaritySearch(query, mode === 'vector' ? k : candidates, { filter });
+  }
+
+  if (mode !== 'vector' && db) {
+    lists.lexical = await lexicalSearch(db, query, mode === 'lexical' ? k : candidates, filters);
+  }
+
+  const exact = db ? await exactAsinMatches(db, query, filters) : [];
+  const ranked = mode === 'hybrid'
+    ? reciprocalRankFusion(lists)
+    : (lists.vector || lists.lexical || []);
+
+  // Exact ASIN matches go first, without repeating them further down
+  const exactAsins = new Set(exact.map(result => result.metadata.asin));
+  const merged = [
+    ...exact.map(match => ranked.find(result => result.metadata?.asin === match.metadata.asin) || match)
+      .map(result => ({ ...result, exactMatch: true })),
+    ...ranked.filter(result => !exactAsins.has(result.metadata?.asin))
+  ];
+
+  const top = merged.slice(0, k);
+  return db && fields ? attachProducts(db, top, fields) : top;
+}
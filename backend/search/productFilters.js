@@ -0,0 +1,156 @@
+/**
+ * Structured product filters
+ * Validates filter input from API requests and turns it into SQL over the
+ * products table. Follow-up scopes ({ asins } / { brand }) use the same shape
+ */
+
+const NUMERIC_FILTERS = {
+  minPrice: { min: 0 },
+  maxPrice: { min: 0 },
+  minRating: { min: 0, max: 5 },
+  minReviews: { min: 0, integer: true },
+  maxSalesRank: { min: 1, integer: true },
+  minRankDrops: { min: 0, integer: true }
+};
+
+const TEXT_FILTERS = ['brand', 'category'];
+
+const MAX_ASIN_FILTER = 1000;
+
+/**
+ * Validate and normalize filters from a request body
+ * @param {Object} input Raw filters object
+ * @returns {Object} { filters, errors } - filters only holds the valid, non-empty entries
+ */
+export function parseSearchFilters(input) {
+  const filters = {};
+  const errors = [];
+
+  if (input === undefined || input === null) return { filters, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { filters, errors: ['filters must be an object'] };
+  }
+
+  for (const [name, rule] of Object.entries(NUMERIC_FILTERS)) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} must be a number`);
+    } else if (value < rule.min || (rule.max !== undefined && value > rule.max)) {
+      errors.push(`${name} must be ${rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`}`);
+    } else {
+      filters[name] = rule.integer ? Math.floor(value) : value;
+    }
+  }
+
+  for (const name of TEXT_FILTERS) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    if (typeof raw !== 'string') {
+      errors.push(`${name} must be a string`);
+    } else if (raw.trim()) {
+      filters[name] = raw.trim();
+    }
+  }
+
+  if (input.asins !== undefined) {
+    if (!Array.isArray(input.asins) || input.asins.some(asin => typeof asin !== 'string')) {
+      errors.push('asins must be an array of strings');
+    } else if (input.asins.length > MAX_ASIN_FILTER) {
+      errors.push(`asins can list at most ${MAX_ASIN_FILTER} ASINs`);
+    } else if (input.asins.length > 0) {
+      filters.asins = input.asins.map(asin => asin.trim().toUpperCase());
+    }
+  }
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    errors.push('minPrice cannot be greater than maxPrice');
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Whether a filters object restricts anything
+ * @param {Object|null} filters Normalized filters
+ * @returns {boolean} True when at least one filter is set
+ */
+export function hasFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+/**
+ * Escape LIKE wildcards so a filter value only matches literally
+ * @param {string} value User-supplied text
+ * @returns {string} Value with \, % and _ escaped for ESCAPE '\'
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build SQL conditions for normalized filters
+ * @param {Object|null} filters Normalized filters
+ * @returns {Object} { conditions, params } - conditions are ANDed by the caller
+ */
+export function buildFilterConditions(filters) {
+  const conditions = [];
+  const params = [];
+  if (!filters) return { conditions, params };
+
+  if (filters.asins?.length > 0) {
+    conditions.push(`asin IN (${filters.asins.map(() => '?').join(', ')})`);
+    params.push(...filters.asins);
+  }
+  if (filters.brand) {
+    conditions.push('brand = ? COLLATE NOCASE');
+    params.push(filters.brand);
+  }
+  if (filters.category) {
+    conditions.push(`(category = ? COLLATE NOCASE OR category_path LIKE '%' || ? || '%' ESCAPE '\\')`);
+    params.push(filters.category, escapeLike(filters.category));
+  }
+  if (filters.minPrice !== undefined) {
+    conditions.push('price >= ?');
+    params.push(filters.minPrice);
+  }
+  if (filters.maxPrice !== undefined) {
+    conditions.push('price <= ?');
+    params.push(filters.maxPrice);
+  }
+  if (filters.minRating !== undefined) {
+    conditions.push('review_rating >= ?');
+    params.push(filters.minRating);
+  }
+  if (filters.minReviews !== undefined) {
+    conditions.push('review_count >= ?');
+    params.push(filters.minReviews);
+  }
+  if (filters.maxSalesRank !== undefined) {
+    conditions.push('sales_rank > 0 AND sales_rank <= ?');
+    params.push(filters.maxSalesRank);
+  }
+  if (filters.minRankDrops !== undefined) {
+    // Sales rank drops in the last 90 days - Keepa's proxy for units sold
+    conditions.push('sales_rank_drops_90 >= ?');
+    params.push(filters.minRankDrops);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * ASINs of every product matching the filters
+ * @param {Object} db Open sqlite database
+ * @param {Object} filters Normalized filters
+ * @returns {Promise<Set<string>>} Matching ASINs
+ */
+export async function findMatchingAsins(db, filters) {
+  const { conditions, params } = buildFilterConditions(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = await db.all(`SELECT asin FROM products ${where}`, params);
+  return new Set(rows.map(row => row.asin));
+}
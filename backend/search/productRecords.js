@@ -0,0 +1,141 @@
+import { KEEPA_STAT_COLUMNS } from '../ingest/keepaColumns.js';
+
+/**
+ * Product records for search results
+ * Joins retrieved hits back to the products table and returns typed product
+ * objects with camelCase fields. Callers pick how much comes back with a
+ * preset name or a list of fields
+ */
+
+/**
+ * Turn a snake_case column into a camelCase field name
+ * @param {string} column e.g. 'buy_box_avg_30'
+ * @returns {string} e.g. 'buyBoxAvg30'
+ */
+function camelCase(column) {
+  return column.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+// Field name -> products column and value type
+export const PRODUCT_FIELDS = {
+  asin: { column: 'asin', type: 'text' },
+  title: { column: 'title', type: 'text' },
+  brand: { column: 'brand', type: 'text' },
+  model: { column: 'model', type: 'text' },
+  category: { column: 'category', type: 'text' },
+  categoryPath: { column: 'category_path', type: 'text' },
+  description: { column: 'description', type: 'text' },
+  price: { column: 'price', type: 'currency' },
+  salesRank: { column: 'sales_rank', type: 'integer' },
+  reviewRating: { column: 'review_rating', type: 'real' },
+  reviewCount: { column: 'review_count', type: 'integer' },
+  snapshotAt: { column: 'snapshot_at', type: 'text' },
+  ...Object.fromEntries(Object.entries(KEEPA_STAT_COLUMNS).map(([column, { kind }]) =>
+    [camelCase(column), { column, type: kind }]))
+};
+
+const BASIC_FIELDS = ['asin', 'title', 'brand', 'price', 'salesRank', 'reviewRating', 'reviewCount'];
+
+export const PRODUCT_FIELD_SETS = {
+  basic: BASIC_FIELDS,
+  summary: [
+    ...BASIC_FIELDS,
+    'model', 'categoryPath',
+    'buyBoxAvg30', 'buyBoxAvg90', 'buyBoxLowest', 'buyBoxHighest',
+    'salesRankAvg30', 'salesRankDrops90'
+  ],
+  full: Object.keys(PRODUCT_FIELDS)
+};
+
+export const DEFAULT_FIELD_SET = 'summary';
+
+const MAX_ASINS_PER_QUERY = 500;
+
+/**
+ * Validate the fields parameter of a request
+ * @param {string|string[]|undefined} input Preset name ('basic', 'summary', 'full'),
+ *   an array of field names or a comma-separated list of them
+ * @returns {Object} { fields, errors } - fields always includes asin
+ */
+export function parseProductFields(input) {
+  if (input === undefined || input === null || input === '') {
+    return { fields: PRODUCT_FIELD_SETS[DEFAULT_FIELD_SET], errors: [] };
+  }
+  if (typeof input === 'string' && PRODUCT_FIELD_SETS[input]) {
+    return { fields: PRODUCT_FIELD_SETS[input], errors: [] };
+  }
+
+  const names = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return {
+      fields: [],
+      errors: [`fields must be one of ${Object.keys(PRODUCT_FIELD_SETS).join(', ')} or a list of field names`]
+    };
+  }
+
+  const trimmed = names.map(name => name.trim()).filter(Boolean);
+  const unknown = trimmed.filter(name => !PRODUCT_FIELDS[name]);
+  if (unknown.length > 0) {
+    return { fields: [], errors: [`Unknown fields: ${unknown.join(', ')}`] };
+  }
+  return { fields: [...new Set(['asin', ...trimmed])], errors: [] };
+}
+
+/**
+ * Convert a column value to its field type - SQLite may hand back numbers
+ * stored as text by older imports, and empty strings mean missing
+ */
+function typedValue(value, type) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'text') return String(value);
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  if (type === 'integer') return Math.round(number);
+  if (type === 'currency') return Math.round(number * 100) / 100;
+  return number;
+}
+
+/**
+ * Load product records by ASIN
+ * @param {Object} db Open sqlite database
+ * @param {string[]} asins ASINs to load
+ * @param {string[]} fields Field names from parseProductFields()
+ * @returns {Promise<Map>} ASIN -> product object; ASINs not in the table are missing
+ */
+export async function loadProducts(db, asins, fields = PRODUCT_FIELD_SETS[DEFAULT_FIELD_SET]) {
+  const products = new Map();
+  const unique = [...new Set(asins.filter(Boolean))];
+  const selected = fields.includes('asin') ? fields : ['asin', ...fields];
+  // Field names come from PRODUCT_FIELDS only, never from the request text
+  const columns = selected.map(name => `${PRODUCT_FIELDS[name].column} AS "${name}"`).join(', ');
+
+  for (let i = 0; i < unique.length; i += MAX_ASINS_PER_QUERY) {
+    const chunk = unique.slice(i, i + MAX_ASINS_PER_QUERY);
+    const rows = await db.all(
+      `SELECT ${columns} FROM products WHERE asin IN (${chunk.map(() => '?').join(', ')})`,
+      chunk
+    );
+    for (const row of rows) {
+      products.set(row.asin, Object.fromEntries(
+        selected.map(name => [name, typedValue(row[name], PRODUCT_FIELDS[name].type)])
+      ));
+    }
+  }
+  return products;
+}
+
+/**
+ * Attach the product record to every result that has an ASIN
+ * @param {Object} db Open sqlite database
+ * @param {Array} results Search results with metadata.asin
+ * @param {string[]} fields Field names from parseProductFields()
+ * @returns {Promise<Array>} Results with a product property, null when the ASIN is no longer in the table
+ */
+export async function attachProducts(db, results, fields) {
+  const products = await loadProducts(db, results.map(result => result.metadata?.asin), fields);
+  return results.map(result => ({
+    ...result,
+    product: products.get(result.metadata?.asin) || null
+  }));
+}
@@ -1,12 +1,15 @@
 import { pipeline } from '@xenova/transformers';
 
+// Same default as the server - set EMBEDDING_MODEL to try another model
+const model = process.env.EMBEDDING_MODEL || 'Xenova/gte-small';
+
 async function testModel() {
   try {
-    console.log('Starting model download...');
-    const embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+    console.log(`Starting model download (${model})...`);
+    const embedder = await pipeline('feature-extraction', model);
     console.log('Model loaded successfully');
     const embedding = await embedder('Test sentence', { pooling: 'mean', normalize: true });
-    console.log('Embedding generated:', embedding.data.slice(0, 5));
+    console.log(`Embedding generated (dimension ${embedding.dims[embedding.dims.length - 1]}):`, embedding.data.slice(0, 5));
   } catch (error) {
     console.error('Model load error:', error.message);
     console.error('Full error:', error);
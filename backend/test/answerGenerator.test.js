@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateProvider } from '../llm/providers.js';
+import { generateAnswer, streamAnswer, collectCitations, buildAnswerMessages } from '../llm/answerGenerator.js';
+
+const DOCUMENTS = [
+  { metadata: { asin: 'B0AAAAAAA1', title: 'Blender Pro' }, score: 0.1 },
+  { metadata: { asin: 'B0AAAAAAA2', title: 'Blender Mini' }, score: 0.25 }
+];
+
+// A provider whose model call fails, optionally after streaming some text
+function failingProvider({ tokensBeforeError = [] } = {}) {
+  return {
+    name: 'stub',
+    async generate() {
+      throw new Error('model unreachable');
+    },
+    async *stream() {
+      for (const token of tokensBeforeError) yield token;
+      throw new Error('connection reset');
+    }
+  };
+}
+
+test('the template provider lists the documents with their ASINs', async () => {
+  const provider = new TemplateProvider();
+  const answer = await provider.generate({ question: 'blenders', documents: DOCUMENTS });
+
+  assert.match(answer, /^Based on your query "blenders", I found 2 relevant products/);
+  assert.match(answer, /1\. Blender Pro \[B0AAAAAAA1\] \(Relevance: 90%\)/);
+  assert.match(answer, /2\. Blender Mini \[B0AAAAAAA2\] \(Relevance: 75%\)/);
+  assert.equal(await provider.generate({ question: 'x', documents: [], analyticsAnswer: 'Cheapest: [B0AAAAAAA2]' }), 'Cheapest: [B0AAAAAAA2]');
+  assert.match(await provider.generate({ question: 'x', documents: [] }), /couldn't find any relevant products/);
+});
+
+test('the template provider streams chunks that join back to its answer', async () => {
+  const provider = new TemplateProvider();
+  const request = { question: 'blenders', documents: DOCUMENTS };
+  const chunks = [];
+  for await (const chunk of provider.stream(request)) chunks.push(chunk);
+
+  assert.ok(chunks.length > 10);
+  assert.equal(chunks.join(''), await provider.generate(request));
+});
+
+test('generateAnswer cites only ASINs of the retrieved documents', async () => {
+  const result = await generateAnswer(new TemplateProvider(), { question: 'blenders', documents: DOCUMENTS });
+  assert.equal(result.provider, 'template');
+  assert.deepEqual(result.citations, ['B0AAAAAAA1', 'B0AAAAAAA2']);
+
+  assert.deepEqual(collectCitations('Try [B0AAAAAAA2], not [B0ZZZZZZZ9] or [B0AAAAAAA1].', DOCUMENTS), ['B0AAAAAAA2', 'B0AAAAAAA1']);
+  assert.deepEqual(collectCitations('No products here.', DOCUMENTS), []);
+});
+
+test('generateAnswer falls back to the template when the provider throws', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const result = await generateAnswer(failingProvider(), { question: 'blenders', documents: DOCUMENTS });
+
+  assert.equal(result.provider, 'template');
+  assert.equal(result.answer, await new TemplateProvider().generate({ question: 'blenders', documents: DOCUMENTS }));
+  assert.deepEqual(result.citations, ['B0AAAAAAA1', 'B0AAAAAAA2']);
+});
+
+test('generateAnswer does not fall back when the request was aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    generateAnswer(failingProvider(), { question: 'blenders', documents: DOCUMENTS }, { signal: controller.signal }),
+    /model unreachable/
+  );
+});
+
+test('streamAnswer falls back to the template only before the first token', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  const tokens = [];
+  const fallback = await streamAnswer(failingProvider(), { question: 'blenders', documents: DOCUMENTS }, {
+    onToken: (text) => tokens.push(text)
+  });
+  assert.equal(fallback.provider, 'template');
+  assert.equal(tokens.join(''), fallback.answer);
+  assert.deepEqual(fallback.citations, ['B0AAAAAAA1', 'B0AAAAAAA2']);
+
+  // Text already sent to the client can't be replaced by a different answer
+  const partial = [];
+  await assert.rejects(
+    streamAnswer(failingProvider({ tokensBeforeError: ['The best ', 'blender is'] }), { question: 'blenders', documents: DOCUMENTS }, {
+      onToken: (text) => partial.push(text)
+    }),
+    /connection reset/
+  );
+  assert.deepEqual(partial, ['The best ', 'blender is']);
+});
+
+test('answer messages carry the documents, the analytics answer and recent history', () => {
+  const history = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` }));
+  const messages = buildAnswerMessages('which is cheaper?', DOCUMENTS, 'Cheapest: [B0AAAAAAA2]', history);
+
+  assert.equal(messages[0].role, 'system');
+  assert.deepEqual(messages.slice(1, -1).map(message => message.content), ['turn 2', 'turn 3', 'turn 4', 'turn 5', 'turn 6', 'turn 7']);
+  const last = messages[messages.length - 1];
+  assert.equal(last.role, 'user');
+  assert.match(last.content, /\[B0AAAAAAA1\] Blender Pro/);
+  assert.match(last.content, /Computed from the product database:\nCheapest: \[B0AAAAAAA2\]/);
+  assert.match(last.content, /Question: which is cheaper\?$/);
+});
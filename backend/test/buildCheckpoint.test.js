@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeCheckpoint, readCheckpoint, loadCheckpoint, backupCheckpointPath } from '../vectorstore/buildCheckpoint.js';
+
+const EMBEDDING = { model: 'Xenova/gte-small', dimension: 384, legacyModel: 'Xenova/gte-small' };
+
+function checkpointFile(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'checkpoint.json');
+}
+
+test('a checkpoint records the model and dimension and resumes with the same ones', (t) => {
+  const file = checkpointFile(t);
+  writeCheckpoint(file, { offset: 2000, processed: 1990 }, EMBEDDING);
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  assert.equal(saved.model, 'Xenova/gte-small');
+  assert.equal(saved.dimension, 384);
+
+  const checkpoint = loadCheckpoint(file, EMBEDDING);
+  assert.deepEqual([checkpoint.offset, checkpoint.processed], [2000, 1990]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(backupCheckpointPath(file), 'utf-8')), saved);
+});
+
+test('a checkpoint of another model or dimension is discarded with its backup', (t) => {
+  const file = checkpointFile(t);
+  for (const other of [{ ...EMBEDDING, model: 'Xenova/all-MiniLM-L6-v2' }, { ...EMBEDDING, dimension: 768 }]) {
+    writeCheckpoint(file, { offset: 2000, processed: 2000 }, other);
+    fs.copyFileSync(file, backupCheckpointPath(file));
+
+    assert.equal(readCheckpoint(file, EMBEDDING), null);
+    assert.equal(loadCheckpoint(file, EMBEDDING), null);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(fs.existsSync(backupCheckpointPath(file)), false);
+  }
+});
+
+test('checkpoints saved before the model was recorded count as the legacy model', (t) => {
+  const file = checkpointFile(t);
+  fs.writeFileSync(file, JSON.stringify({ offset: 500, processed: 500 }));
+
+  assert.equal(readCheckpoint(file, EMBEDDING).offset, 500);
+  assert.equal(readCheckpoint(file, { ...EMBEDDING, model: 'Xenova/bge-small-en-v1.5' }), null);
+});
+
+test('a corrupted checkpoint is recovered from its backup, unless the backup is of another model', (t) => {
+  const file = checkpointFile(t);
+  writeCheckpoint(backupCheckpointPath(file), { offset: 1000, processed: 1000 }, EMBEDDING);
+  fs.writeFileSync(file, '{"offset": 20');
+
+  assert.equal(loadCheckpoint(file, EMBEDDING).offset, 1000);
+  // The corrupted file did not overwrite the backup it was recovered from
+  assert.equal(JSON.parse(fs.readFileSync(backupCheckpointPath(file), 'utf-8')).offset, 1000);
+
+  fs.writeFileSync(file, 'not json');
+  writeCheckpoint(backupCheckpointPath(file), { offset: 1000, processed: 1000 }, { ...EMBEDDING, dimension: 768 });
+  assert.equal(loadCheckpoint(file, EMBEDDING), null);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(loadCheckpoint(file, EMBEDDING), null);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMappingProfiles, detectMappingProfile, CANONICAL_FIELDS } from '../ingest/columnMapping.js';
+
+const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'ingest', 'profiles');
+const profiles = loadMappingProfiles();
+
+// Every header a profile file names, in the order it lists them
+function profileHeaders(file) {
+  const profile = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+  return [...Object.values(profile.fields), ...Object.values(profile.history || {})].flat();
+}
+
+test('every bundled profile is detected from its own headers', () => {
+  const files = fs.readdirSync(PROFILES_DIR).filter(file => file.endsWith('.json'));
+  assert.equal(profiles.length, files.length);
+
+  for (const file of files) {
+    const name = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8')).name;
+    const detected = detectMappingProfile(profileHeaders(file), profiles);
+    assert.equal(detected.profile, name, file);
+    assert.deepEqual(detected.missingEssential, [], file);
+  }
+});
+
+test('a Keepa Product Viewer export maps its columns in alias order, ignoring case and whitespace', () => {
+  const headers = [
+    'ASIN', 'Title', 'Brand', 'Description & Features: Short Description', 'Description & Features: Description',
+    'Buy Box 🚚: Current', 'Sales Rank: Current', 'reviews:  rating', 'Reviews: Review Count', 'Categories: Root', 'Amazon: History'
+  ];
+  const detected = detectMappingProfile(headers, profiles);
+
+  assert.equal(detected.profile, 'keepa-product-viewer');
+  assert.deepEqual(detected.mapping.description, ['Description & Features: Description', 'Description & Features: Short Description']);
+  assert.deepEqual(detected.mapping.review_rating, ['reviews:  rating']);
+  assert.deepEqual(detected.history, { AMAZON: ['Amazon: History'] });
+  assert.deepEqual(detected.missingEssential, []);
+});
+
+test('essential fields the file has no column for are reported missing', () => {
+  const detected = detectMappingProfile(['asin', 'product_name', 'price', 'category'], profiles);
+
+  assert.equal(detected.profile, 'generic');
+  assert.deepEqual(detected.mapping, { asin: ['asin'], title: ['product_name'], price: ['price'], category: ['category'] });
+  assert.deepEqual(detected.missingEssential, ['brand', 'description', 'sales_rank', 'review_rating', 'review_count']);
+  assert.ok(detected.missingEssential.every(field => CANONICAL_FIELDS[field].essential));
+});
+
+test('headers without an ASIN column match no profile', () => {
+  assert.equal(detectMappingProfile(['Product', 'Cost', 'Stars'], profiles), null);
+  assert.equal(detectMappingProfile(['Title', 'Brand', 'Buy Box 🚚: Current', 'Sales Rank: Current'], profiles), null);
+  assert.equal(detectMappingProfile([], profiles), null);
+});
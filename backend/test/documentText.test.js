@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  productFields,
+  renderTemplate,
+  loadDocumentTemplate,
+  createWordTokenCounter,
+  DocumentTextBuilder
+} from '../embedding/documentText.js';
+
+// One token per word keeps budgets easy to reason about
+const oneTokenPerWord = () => 1;
+const words = (count, word = 'word') => Array.from({ length: count }, (_, i) => `${word}${i}`).join(' ');
+
+test('productFields reads features from the Feature columns of raw_data', () => {
+  const fields = productFields({
+    asin: 'B0AAAAAAA1',
+    title: 'Desk lamp',
+    category: 'Lighting',
+    price: 19.99,
+    raw_data: JSON.stringify({
+      'Description & Features: Feature 1': 'Dimmable',
+      'Description & Features: Feature 2': '',
+      'Feature 3': 'USB powered',
+      'Featured Items: Name': 'Not a feature',
+      Title: 'Desk lamp'
+    })
+  });
+
+  assert.equal(fields.features, 'Dimmable; USB powered');
+  assert.equal(fields.category_path, 'Lighting');
+  assert.equal(fields.price, '19.99');
+  assert.equal(fields.brand, '');
+  assert.equal(productFields({ raw_data: '{not json' }).features, '');
+});
+
+test('renderTemplate collapses whitespace and drops lines without values', () => {
+  const template = 'Title: {title}\nBrand: {brand}\n---\n{brand} {model}';
+  const text = renderTemplate(template, { title: '  Desk \n lamp ', brand: '', model: 'X1' });
+  assert.equal(text, 'Title: Desk lamp\n---\nX1');
+});
+
+test('loadDocumentTemplate rejects unknown fields', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const good = path.join(dir, 'good.txt');
+  const bad = path.join(dir, 'bad.txt');
+  fs.writeFileSync(good, '{title} by {brand}\n');
+  fs.writeFileSync(bad, '{title} {colour} {colour}');
+
+  assert.equal(loadDocumentTemplate(good), '{title} by {brand}');
+  assert.throws(() => loadDocumentTemplate(bad), /Unknown fields in document template .*: colour$/);
+  assert.match(loadDocumentTemplate(null), /\{description\}/);
+});
+
+test('createWordTokenCounter remembers word counts and estimates without a tokenizer', () => {
+  let calls = 0;
+  const tokenizer = {
+    encode: (word) => {
+      calls++;
+      return Array.from({ length: word.length > 6 ? 2 : 1 });
+    }
+  };
+  const count = createWordTokenCounter(tokenizer);
+  assert.equal(count('lamp'), 1);
+  assert.equal(count('lampshade'), 2);
+  assert.equal(count('lamp'), 1);
+  assert.equal(calls, 2);
+
+  assert.equal(createWordTokenCounter(null)('abcdefghi'), 3);
+});
+
+test('a document that fits is returned whole, one that does not is truncated', () => {
+  const builder = new DocumentTextBuilder({ template: '{title}\n{description}', countWordTokens: oneTokenPerWord, maxTokens: 10 });
+  assert.deepEqual(builder.build({ title: 'Desk lamp', description: 'Bright and small' }), ['Desk lamp\nBright and small']);
+
+  const [text] = builder.build({ title: 'Desk lamp', description: words(20) });
+  assert.equal(builder.countTokens(text), 10);
+  assert.ok(text.startsWith('Desk lamp\nword0 '));
+  assert.deepEqual(builder.build({}), []);
+});
+
+test('long descriptions are split into chunks that repeat the other fields', () => {
+  const builder = new DocumentTextBuilder({
+    template: '{title}\n{description}',
+    countWordTokens: oneTokenPerWord,
+    maxTokens: 10,
+    maxChunks: 3
+  });
+  const texts = builder.build({ title: 'Desk lamp', description: words(40) });
+
+  assert.equal(texts.length, 3);
+  for (const text of texts) {
+    assert.ok(text.startsWith('Desk lamp\n'));
+    assert.ok(builder.countTokens(text) <= 10);
+  }
+  assert.equal(texts[1].split('\n')[1].split(' ')[0], 'word8');
+});
+
+test('long fields are shortened so the description keeps its share of the budget', () => {
+  const builder = new DocumentTextBuilder({ template: '{title}\n{description}', countWordTokens: oneTokenPerWord, maxTokens: 100 });
+  const [text] = builder.build({ title: words(90, 'title'), description: words(50) });
+  const [title, description] = text.split('\n');
+
+  assert.equal(builder.countTokens(text), 100);
+  assert.equal(builder.countTokens(title), 68);
+  assert.equal(builder.countTokens(description), 32);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { EmbeddingCache, hashEmbeddingText } from '../embedding/embeddingCache.js';
+
+async function createCache() {
+  const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  const cache = new EmbeddingCache(db, { model: 'test-model' });
+  await cache.setup();
+  return { db, cache };
+}
+
+test('cached embeddings are returned by text, ignoring whitespace', async () => {
+  const { cache } = await createCache();
+  await cache.putMany(['wireless  mouse'], [[0.5, -1, 2]]);
+
+  assert.deepEqual(await cache.getMany(['wireless mouse', 'keyboard']), [[0.5, -1, 2], null]);
+  assert.equal(hashEmbeddingText(' wireless\tmouse '), hashEmbeddingText('wireless mouse'));
+  const stats = await cache.stats();
+  assert.deepEqual([stats.hits, stats.misses, stats.entries], [1, 1, 1]);
+});
+
+test('a hit refreshes last_used_at only when it is older than the touch interval', async () => {
+  const { db, cache } = await createCache();
+  await cache.putMany(['recent', 'old'], [[1], [2]]);
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  await db.run('UPDATE embedding_cache SET last_used_at = ? WHERE text_hash = ?', [twoHoursAgo, hashEmbeddingText('old')]);
+  const before = await db.get('SELECT last_used_at FROM embedding_cache WHERE text_hash = ?', [hashEmbeddingText('recent')]);
+
+  let writes = 0;
+  const run = db.run.bind(db);
+  db.run = (...args) => { writes++; return run(...args); };
+  await cache.getMany(['recent']);
+  assert.equal(writes, 0);
+  await cache.getMany(['recent', 'old']);
+  assert.equal(writes, 1);
+
+  const rows = await db.all('SELECT text_hash, last_used_at FROM embedding_cache');
+  const usedAt = Object.fromEntries(rows.map(row => [row.text_hash, row.last_used_at]));
+  assert.equal(usedAt[hashEmbeddingText('recent')], before.last_used_at);
+  assert.ok(usedAt[hashEmbeddingText('old')] > twoHoursAgo);
+});
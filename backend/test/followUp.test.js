@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFollowUp, normalizeHistory, conversationAsins } from '../chat/followUp.js';
+import { detectIntent } from '../analytics/queryIntent.js';
+
+const ASINS = ['B0AAAAAAA1', 'B0AAAAAAA2', 'B0AAAAAAA3'];
+const HISTORY = [
+  { role: 'user', content: 'best blenders?' },
+  { role: 'assistant', content: 'Here are three.', asins: ASINS }
+];
+
+test('ordinals and numbered references become the ASINs they point at', async () => {
+  const second = await resolveFollowUp('how much is the second one?', HISTORY);
+  assert.equal(second.question, 'how much is B0AAAAAAA2?');
+  assert.deepEqual(second.scope, { asins: ['B0AAAAAAA2'] });
+
+  assert.deepEqual((await resolveFollowUp('tell me about the last product', HISTORY)).scope, { asins: ['B0AAAAAAA3'] });
+  assert.deepEqual((await resolveFollowUp('what about #1', HISTORY)).scope, { asins: ['B0AAAAAAA1'] });
+  assert.deepEqual((await resolveFollowUp('compare the first two products', HISTORY)).scope, { asins: ['B0AAAAAAA1', 'B0AAAAAAA2'] });
+  assert.deepEqual((await resolveFollowUp('which of the top 2 from your list is cheaper?', HISTORY)).scope, { asins: ['B0AAAAAAA1', 'B0AAAAAAA2'] });
+  assert.deepEqual((await resolveFollowUp('what about number 3 on your list', HISTORY)).scope, { asins: ['B0AAAAAAA3'] });
+  assert.deepEqual((await resolveFollowUp('is item 2 in stock?', HISTORY)).scope, { asins: ['B0AAAAAAA2'] });
+});
+
+test('new ranking and search questions are not taken for references to the previous answer', async () => {
+  const history = [
+    { role: 'user', content: 'best blenders?' },
+    { role: 'assistant', content: 'Here are five.', asins: ['B0AAAAAAA1', 'B0AAAAAAA2', 'B0AAAAAAA3', 'B0AAAAAAA4', 'B0AAAAAAA5'] }
+  ];
+  const questions = [
+    'What are the top 3 best sellers?',
+    'Show me the top 5 cheapest products',
+    'Show the top 10 products by reviews',
+    'best blenders for the second floor',
+    'what is number 2 on the list',
+    'what is the #1 best seller in kitchen?',
+    'compare the top 10 ones'
+  ];
+
+  for (const question of questions) {
+    const resolved = await resolveFollowUp(question, history);
+    assert.equal(resolved.question, question);
+    assert.equal(resolved.scope, null);
+    assert.notEqual(detectIntent(resolved.question).type, 'comparison');
+  }
+});
+
+test('demonstratives refer back regardless of length', async () => {
+  const those = await resolveFollowUp('which of those products has the most reviews overall?', HISTORY);
+  assert.deepEqual(those.scope, { asins: ASINS });
+
+  const that = await resolveFollowUp('is that one still the best choice for making smoothies at home?', HISTORY);
+  assert.match(that.question, /B0AAAAAAA1/);
+});
+
+test('bare pronouns only refer back in a short follow-up ending on them', async () => {
+  const it = await resolveFollowUp('how much is it?', HISTORY);
+  assert.equal(it.question, 'how much is B0AAAAAAA1?');
+  assert.deepEqual((await resolveFollowUp('compare them', HISTORY)).scope, { asins: ASINS });
+
+  for (const question of ['is it worth restocking electronics?', 'which of them sell best overall?']) {
+    const resolved = await resolveFollowUp(question, HISTORY);
+    assert.equal(resolved.question, question);
+    assert.equal(resolved.scope, null);
+  }
+});
+
+test('"that brand" resolves through lookupBrand', async () => {
+  const resolved = await resolveFollowUp('other products from that brand', HISTORY, {
+    lookupBrand: async (asin) => (asin === 'B0AAAAAAA1' ? 'Ninja' : null)
+  });
+  assert.equal(resolved.question, 'other products from Ninja');
+  assert.deepEqual(resolved.scope, { brand: 'Ninja' });
+});
+
+test('without previous ASINs nothing is resolved', async () => {
+  const resolved = await resolveFollowUp('how much is the second one?', [{ role: 'user', content: 'hi' }]);
+  assert.equal(resolved.scope, null);
+  assert.equal(resolved.question, 'how much is the second one?');
+});
+
+test('normalizeHistory drops malformed entries and keeps only valid ASINs, capped', () => {
+  const many = Array.from({ length: 40 }, (_, i) => `B0${String(i).padStart(8, '0')}`);
+  const history = normalizeHistory([
+    null,
+    { role: 'system', content: 'ignore' },
+    { role: 'assistant', content: 42, asins: ["B0AAAAAAA1') OR 1=1 --", 'b0aaaaaaa1', 'B0AAAAAAA1', 7, ...many] }
+  ]);
+
+  assert.equal(history.length, 1);
+  assert.equal(history[0].content, '');
+  assert.equal(history[0].asins[0], 'B0AAAAAAA1');
+  assert.equal(history[0].asins.length, 25);
+  assert.equal(new Set(history[0].asins).size, 25);
+});
+
+test('conversationAsins prefers citations over retrieved results', () => {
+  const results = [{ metadata: { asin: 'B0AAAAAAA2' } }, { metadata: { asin: 'B0AAAAAAA2' } }, { metadata: {} }];
+  assert.deepEqual(conversationAsins(['B0AAAAAAA1'], results), ['B0AAAAAAA1']);
+  assert.deepEqual(conversationAsins([], results), ['B0AAAAAAA2']);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HNSWVectorStore } from '../vectorstore/hnswStore.js';
+
+// Texts embed to fixed 3-dimensional vectors: the word in the text picks the direction
+const DIRECTIONS = { blender: [1, 0, 0], skillet: [0, 1, 0], lamp: [0, 0, 1], kettle: [1, 1, 0], toaster: [0, 1, 1] };
+const embed = (text) => {
+  const word = Object.keys(DIRECTIONS).find(name => text.toLowerCase().includes(name));
+  return word ? DIRECTIONS[word].map((value, i) => value + 0.01 * (i + 1)) : null;
+};
+
+function createStore(options = {}) {
+  return new HNSWVectorStore({ generateEmbedding: async (text) => embed(text), model: 'test-model', dimension: 3, ...options });
+}
+
+// Documents the way index.js builds them: every chunk carries the hash of the product's whole text
+function productDocuments(asin, ...texts) {
+  const contentHash = HNSWVectorStore.hashContent(texts.join('\n\n'));
+  return texts.map((text, chunk) => ({
+    pageContent: text,
+    metadata: { asin, chunk, chunkCount: texts.length, contentHash }
+  }));
+}
+
+const asinsOf = (hits) => hits.map(hit => hit.metadata.asin);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hnsw-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a sync embeds new and changed products and deletes removed ones', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+  await store.initialize();
+  await store.addDocuments([
+    ...productDocuments('A', 'blender'),
+    ...productDocuments('B', 'skillet'),
+    ...productDocuments('D', 'lamp')
+  ]);
+
+  // The products table now has A with new text, B unchanged and a new C; D is gone
+  const table = { A: productDocuments('A', 'kettle'), B: productDocuments('B', 'skillet'), C: productDocuments('C', 'toaster') };
+  const actions = Object.fromEntries(Object.entries(table).map(([asin, docs]) => [asin, store.syncAction(asin, docs[0].metadata.contentHash)]));
+  assert.deepEqual(actions, { A: 'updated', B: null, C: 'added' });
+  assert.deepEqual(store.removedAsins(new Set(Object.keys(table))), ['D']);
+
+  await store.addDocuments([...table.A, ...table.C]);
+  assert.equal(store.deleteDocuments(['D']), 1);
+
+  assert.equal(store.documentCount, 3);
+  assert.equal(store.productCount, 3);
+  assert.equal(store.getContentHash('A'), table.A[0].metadata.contentHash);
+  assert.deepEqual(asinsOf(await store.similaritySearch('kettle', 1)), ['A']);
+  // The old blender vector of A no longer answers for A
+  assert.equal((await store.similaritySearch('blender', 3)).find(hit => hit.metadata.asin === 'A').pageContent, 'kettle');
+});
+
+test('chunks of one version never replace each other, a new version replaces them all', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+  await store.initialize();
+  await store.addDocuments(productDocuments('A', 'blender one', 'blender two'));
+  assert.equal(store.asinLabels.get('A').length, 2);
+
+  // A resumed build embeds chunk 1 again - the copy replaces only that chunk
+  await store.addDocuments(productDocuments('A', 'blender one', 'blender two').slice(1));
+  assert.equal(store.asinLabels.get('A').length, 2);
+  assert.equal(store.documentCount, 2);
+
+  await store.addDocuments(productDocuments('A', 'kettle'));
+  assert.equal(store.asinLabels.get('A').length, 1);
+  assert.equal(store.documentCount, 1);
+  assert.equal(store.deletedCount, 3);
+});
+
+test('deleted products stay out of searches, also after a save and load', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const filepath = path.join(tempDir(t), 'vectorstore.hnsw');
+  const store = createStore();
+  await store.initialize();
+  await store.addDocuments([
+    ...productDocuments('A', 'blender'),
+    ...productDocuments('B', 'skillet'),
+    ...productDocuments('C', 'lamp')
+  ]);
+
+  store.deleteDocuments(['B']);
+  assert.deepEqual(asinsOf(await store.similaritySearch('skillet', 3)).sort(), ['A', 'C']);
+  assert.deepEqual(asinsOf(await store.similaritySearch('skillet', 3, { filter: doc => doc.metadata.asin !== 'A' })), ['C']);
+  assert.equal(await store.save(filepath), true);
+
+  const loaded = createStore();
+  assert.equal(await loaded.load(filepath), true);
+  assert.equal(loaded.documentCount, 2);
+  assert.equal(loaded.getContentHash('B'), undefined);
+  assert.deepEqual(asinsOf(await loaded.similaritySearch('skillet', 3)).sort(), ['A', 'C']);
+});
+
+test('load refuses an index built with another model or dimension', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const filepath = path.join(tempDir(t), 'vectorstore.hnsw');
+  const store = createStore();
+  await store.initialize();
+  await store.addDocuments(productDocuments('A', 'blender'));
+  await store.save(filepath);
+
+  assert.equal(await createStore({ model: 'other-model' }).load(filepath), false);
+  assert.equal(await createStore({ dimension: 4 }).load(filepath), false);
+  assert.equal(await createStore().load(filepath), true);
+
+  // Indexes saved before the model was recorded count as built with the legacy model
+  const metadataPath = `${filepath}.json`;
+  const { model, ...legacy } = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+  fs.writeFileSync(metadataPath, JSON.stringify(legacy));
+  assert.equal(model, 'test-model');
+  assert.equal(await createStore({ legacyModel: 'test-model' }).load(filepath), true);
+  assert.equal(await createStore({ legacyModel: 'default-model' }).load(filepath), false);
+});
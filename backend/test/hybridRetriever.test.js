@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { buildFtsQuery, reciprocalRankFusion, lexicalSearch, retrieveProducts } from '../search/hybridRetriever.js';
+
+const hit = (asin, extra = {}) => ({ pageContent: asin, metadata: { asin }, ...extra });
+const asinsOf = (results) => results.map(result => result.metadata.asin);
+
+// The products table and its FTS5 index as index.js creates them, cut to the columns search reads
+async function openProductDatabase() {
+  const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  await db.exec(`
+    CREATE TABLE products (asin TEXT PRIMARY KEY, title TEXT, brand TEXT, model TEXT, description TEXT, category TEXT, category_path TEXT);
+    CREATE VIRTUAL TABLE products_fts USING fts5(
+      asin, title, brand, model, description,
+      content='products', content_rowid='rowid', tokenize='unicode61'
+    );
+    INSERT INTO products (asin, title, brand, model, description, category) VALUES
+      ('B0AAAAAAA1', 'Ninja Blender Pro', 'Ninja', 'BL610', 'Blender with 72 oz pitcher', 'Kitchen'),
+      ('B0AAAAAAA2', 'Personal Blender', 'Oster', 'P100', 'Small blender for smoothies', 'Kitchen'),
+      ('B0AAAAAAA3', 'Cast Iron Skillet', 'Lodge', 'L8SK3', 'Pre-seasoned pan', 'Kitchen'),
+      ('B0AAAAAAA4', 'Desk Lamp', 'Acme', 'DL-1', 'LED lamp', 'Office');
+    INSERT INTO products_fts(products_fts) VALUES ('rebuild');
+  `);
+  return db;
+}
+
+// Vector search stand-in returning a fixed ranking, filtered like HNSWVectorStore does
+function vectorStoreReturning(asins) {
+  return {
+    similaritySearch: async (query, k, { filter } = {}) =>
+      asins.map(asin => hit(asin, { score: 0.2 })).filter(doc => !filter || filter(doc)).slice(0, k)
+  };
+}
+
+test('buildFtsQuery quotes every token so FTS5 syntax is never interpreted', () => {
+  assert.equal(buildFtsQuery('ninja blender'), '"ninja" OR "blender"');
+  assert.equal(buildFtsQuery('title:blender* AND NOT "pro" NEAR(a b)'), '"title" OR "blender" OR "AND" OR "NOT" OR "pro" OR "NEAR"');
+  assert.equal(buildFtsQuery('blender blender 2 x'), '"blender" OR "2"');
+  assert.equal(buildFtsQuery('Küchenmaschine für 4'), '"Küchenmaschine" OR "für" OR "4"');
+  assert.equal(buildFtsQuery('"*" - ()'), null);
+});
+
+test('lexicalSearch runs queries full of FTS5 operators and quotes', async () => {
+  const db = await openProductDatabase();
+  const results = await lexicalSearch(db, 'blender" OR NOT (pro* AND', 10);
+  assert.deepEqual(asinsOf(results).sort(), ['B0AAAAAAA1', 'B0AAAAAAA2']);
+  assert.equal(results[0].metadata.source, 'lexical');
+  assert.deepEqual(await lexicalSearch(db, '***', 10), []);
+  await db.close();
+});
+
+test('reciprocalRankFusion ranks products found by both lists first', () => {
+  const fused = reciprocalRankFusion({
+    vector: [hit('A'), hit('B'), hit('C')],
+    lexical: [hit('C'), hit('D'), hit('A')]
+  });
+
+  assert.deepEqual(asinsOf(fused), ['A', 'C', 'B', 'D']);
+  assert.deepEqual(fused[0].ranks, { vector: 1, lexical: 3 });
+  assert.equal(fused[0].fusedScore, 1 / 61 + 1 / 63);
+  assert.equal(fused[3].fusedScore, 1 / 62);
+});
+
+test('reciprocalRankFusion breaks ties by first appearance and counts a product once per list', () => {
+  const fused = reciprocalRankFusion({
+    vector: [hit('A'), hit('B')],
+    lexical: [hit('B'), hit('A'), hit('B'), { metadata: {} }]
+  });
+
+  assert.deepEqual(asinsOf(fused), ['A', 'B']);
+  assert.equal(fused[0].fusedScore, fused[1].fusedScore);
+  assert.deepEqual(fused[1].ranks, { vector: 2, lexical: 1 });
+});
+
+test('reciprocalRankFusion keeps the vector hit content when both lists found a product', () => {
+  const [entry] = reciprocalRankFusion({
+    lexical: [hit('A', { pageContent: 'snippet', bm25: -3 })],
+    vector: [hit('A', { pageContent: 'full document', score: 0.1 })]
+  });
+
+  assert.equal(entry.pageContent, 'full document');
+  assert.equal(entry.score, 0.1);
+  assert.deepEqual(entry.ranks, { lexical: 1, vector: 1 });
+});
+
+test('an ASIN in the query always ranks first, in every mode', async () => {
+  const db = await openProductDatabase();
+  const vectorStore = vectorStoreReturning(['B0AAAAAAA1', 'B0AAAAAAA2', 'B0AAAAAAA3']);
+
+  for (const mode of ['hybrid', 'vector', 'lexical']) {
+    const results = await retrieveProducts({ db, vectorStore, query: 'blender like b0aaaaaaa4', k: 3, mode });
+    assert.equal(results[0].metadata.asin, 'B0AAAAAAA4', mode);
+    assert.equal(results[0].exactMatch, true);
+    assert.equal(results.length, 3);
+    assert.equal(new Set(asinsOf(results)).size, 3);
+  }
+
+  // Found by the retrievers as well: listed once, first, keeping its ranked entry
+  const results = await retrieveProducts({ db, vectorStore, query: 'B0AAAAAAA3 blender', k: 5, mode: 'hybrid' });
+  assert.deepEqual(asinsOf(results), ['B0AAAAAAA3', 'B0AAAAAAA1', 'B0AAAAAAA2']);
+  assert.ok(results[0].ranks.vector);
+
+  // An ASIN that is not in the catalogue, or that the filters exclude, gets no special place
+  const unknown = await retrieveProducts({ db, vectorStore, query: 'B0ZZZZZZZ9', k: 2, mode: 'vector' });
+  assert.deepEqual(asinsOf(unknown), ['B0AAAAAAA1', 'B0AAAAAAA2']);
+  const filtered = await retrieveProducts({ db, vectorStore, query: 'B0AAAAAAA4 blender', k: 3, mode: 'hybrid', filters: { category: 'Kitchen' } });
+  assert.ok(!asinsOf(filtered).includes('B0AAAAAAA4'));
+  await db.close();
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { setupImportLedger, checkImport, getImport, recordImport, findDeletedImports, retireImport } from '../ingest/importLedger.js';
+import { setupSnapshotTable, insertSnapshots } from '../ingest/snapshots.js';
+
+// The products table and its FTS5 index with the triggers index.js keeps them in sync with,
+// cut to the columns search reads
+async function openDatabase(t) {
+  const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  t.after(() => db.close());
+  await db.exec(`
+    CREATE TABLE products (asin TEXT PRIMARY KEY, title TEXT, brand TEXT, model TEXT, description TEXT);
+    CREATE VIRTUAL TABLE products_fts USING fts5(
+      asin, title, brand, model, description,
+      content='products', content_rowid='rowid', tokenize='unicode61'
+    );
+    CREATE TRIGGER products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts(rowid, asin, title, brand, model, description)
+      VALUES (new.rowid, new.asin, new.title, new.brand, new.model, new.description);
+    END;
+    CREATE TRIGGER products_fts_delete AFTER DELETE ON products BEGIN
+      INSERT INTO products_fts(products_fts, rowid, asin, title, brand, model, description)
+      VALUES ('delete', old.rowid, old.asin, old.title, old.brand, old.model, old.description);
+    END;
+  `);
+  await setupSnapshotTable(db);
+  await setupImportLedger(db);
+  return db;
+}
+
+function csvFile(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'export.csv');
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+// Import a file's products the way importCSVFile leaves them: product rows, one snapshot each and a ledger entry
+async function importProducts(db, filename, products) {
+  for (const { asin, title } of products) {
+    await db.run('INSERT OR IGNORE INTO products (asin, title) VALUES (?, ?)', [asin, title]);
+  }
+  await insertSnapshots(db, products.map(({ asin }) => ({ asin, snapshot_at: '2024-05-22T00:00:00.000Z', price: 19.99 })), filename);
+  await recordImport(db, { filename, hash: `hash-${filename}`, size: 100, rowCount: products.length });
+}
+
+const ftsAsins = async (db, term) =>
+  (await db.all('SELECT asin FROM products_fts WHERE products_fts MATCH ? ORDER BY asin', [`"${term}"`])).map(row => row.asin);
+
+test('a file is unchanged only while the ledger has its current contents', async (t) => {
+  const db = await openDatabase(t);
+  const filePath = csvFile(t, 'ASIN,Title\nB000000001,Blender\n');
+
+  const first = await checkImport(db, 'export.csv', filePath);
+  assert.equal(first.unchanged, false);
+  assert.equal(first.previous, undefined);
+  assert.equal(first.size, fs.statSync(filePath).size);
+
+  await recordImport(db, { filename: 'export.csv', hash: first.hash, size: first.size, rowCount: 1, parseErrors: { price: 2 } });
+  const again = await checkImport(db, 'export.csv', filePath);
+  assert.equal(again.unchanged, true);
+  assert.equal(again.previous.row_count, 1);
+  assert.deepEqual(again.previous.parse_errors, { price: 2 });
+
+  fs.appendFileSync(filePath, 'B000000002,Toaster\n');
+  const modified = await checkImport(db, 'export.csv', filePath);
+  assert.equal(modified.unchanged, false);
+  assert.notEqual(modified.hash, first.hash);
+  assert.equal(modified.previous.content_hash, first.hash);
+
+  // Re-importing replaces the entry rather than adding a second one
+  await recordImport(db, { filename: 'export.csv', hash: modified.hash, size: modified.size, rowCount: 2 });
+  assert.equal((await checkImport(db, 'export.csv', filePath)).unchanged, true);
+  assert.deepEqual((await getImport(db, 'export.csv')).parse_errors, {});
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM imports')).count, 1);
+});
+
+test('findDeletedImports lists ledger entries whose file is gone', async (t) => {
+  const db = await openDatabase(t);
+  for (const filename of ['a.csv', 'b.csv', 'c.csv']) {
+    await recordImport(db, { filename, hash: filename, size: 1, rowCount: 1 });
+  }
+
+  assert.deepEqual((await findDeletedImports(db, ['b.csv'])).map(entry => entry.filename), ['a.csv', 'c.csv']);
+  assert.deepEqual(await findDeletedImports(db, ['a.csv', 'b.csv', 'c.csv']), []);
+});
+
+test('retiring a file keeps the products another file also contains, with their FTS rows', async (t) => {
+  const db = await openDatabase(t);
+  await importProducts(db, 'a.csv', [
+    { asin: 'B000000001', title: 'Ninja Blender' },
+    { asin: 'B000000002', title: 'Oster Blender' }
+  ]);
+  await importProducts(db, 'b.csv', [
+    { asin: 'B000000002', title: 'Oster Blender' },
+    { asin: 'B000000003', title: 'Lodge Skillet' }
+  ]);
+
+  assert.deepEqual(await retireImport(db, 'a.csv'), ['B000000001']);
+
+  const remaining = await db.all('SELECT asin FROM products ORDER BY asin');
+  assert.deepEqual(remaining.map(row => row.asin), ['B000000002', 'B000000003']);
+  assert.deepEqual(await ftsAsins(db, 'blender'), ['B000000002']);
+  const snapshots = await db.all('SELECT asin, source_file FROM product_snapshots ORDER BY asin');
+  assert.deepEqual(snapshots.map(row => [row.asin, row.source_file]), [['B000000002', 'b.csv'], ['B000000003', 'b.csv']]);
+  assert.equal(await getImport(db, 'a.csv'), undefined);
+  assert.ok(await getImport(db, 'b.csv'));
+
+  // Once the last file containing it is retired the product goes too
+  assert.deepEqual((await retireImport(db, 'b.csv')).sort(), ['B000000002', 'B000000003']);
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM products')).count, 0);
+  assert.deepEqual(await ftsAsins(db, 'blender'), []);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobQueue, openJobQueue } from '../jobs/jobQueue.js';
+import { setupSnapshotTable, insertSnapshots } from '../ingest/snapshots.js';
+
+const openMemory = () => open({ filename: ':memory:', driver: sqlite3.Database });
+
+// The layout index.js uses: the product database and the queue's own jobs database, both files
+async function openDatabases(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  const productDb = await open({ filename: path.join(dir, 'product_data.db'), driver: sqlite3.Database });
+  await setupSnapshotTable(productDb);
+  const queue = await openJobQueue(path.join(dir, 'jobs.db'));
+  t.after(async () => {
+    await productDb.close();
+    await queue.db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, productDb, queue };
+}
+
+// What another connection - a request handler or the next process - sees in jobs.db
+async function committedJobs(dir) {
+  const reader = await open({ filename: path.join(dir, 'jobs.db'), driver: sqlite3.Database });
+  try {
+    const rows = await reader.all('SELECT details, status FROM jobs ORDER BY created_at');
+    return rows.map(row => [JSON.parse(row.details).filename, row.status]);
+  } finally {
+    await reader.close();
+  }
+}
+
+test('a job queued during an import transaction survives the cancelled import', async (t) => {
+  const { dir, productDb, queue } = await openDatabases(t);
+
+  let started;
+  const importStarted = new Promise(resolve => { started = resolve; });
+  let proceed;
+  const cancelled = new Promise(resolve => { proceed = resolve; });
+
+  // Shaped like importCSVToDatabase(): one transaction on the product database, rolled back on cancellation
+  const importJob = await queue.enqueue('import', 'Import a.csv', async (job) => {
+    await productDb.run('BEGIN TRANSACTION');
+    try {
+      await insertSnapshots(productDb, [{ asin: 'B0AAAAAAA1', snapshot_at: '2024-05-22T00:00:00.000Z', price: 9.99 }], 'a.csv');
+      started();
+      await cancelled;
+      job.throwIfCancelled();
+      await productDb.run('COMMIT');
+    } catch (error) {
+      await productDb.run('ROLLBACK');
+      throw error;
+    }
+  }, { filename: 'a.csv' });
+
+  await importStarted;
+  const second = await queue.enqueue('import', 'Import b.csv', async (job) => {
+    job.progress({ stage: 'importing', current: 1, total: 1 });
+    return { rowsImported: 1 };
+  }, { filename: 'b.csv' });
+
+  // Job rows are committed while the import transaction is still open
+  assert.deepEqual(await committedJobs(dir), [['a.csv', 'running'], ['b.csv', 'queued']]);
+
+  await queue.cancel(importJob.id);
+  proceed();
+
+  const finished = await queue.waitFor(second.id);
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.result, { rowsImported: 1 });
+  assert.deepEqual(await productDb.all('SELECT * FROM product_snapshots'), []);
+
+  // The rollback took the import's snapshots, not the job rows
+  assert.deepEqual(await committedJobs(dir), [['a.csv', 'cancelled'], ['b.csv', 'completed']]);
+  assert.equal((await queue.get(second.id)).status, 'completed');
+  assert.equal((await queue.get(importJob.id)).status, 'cancelled');
+});
+
+test('the ETA of a resumed stage counts only progress made since it started', async () => {
+  const queue = new JobQueue(await openMemory());
+  await queue.setup();
+
+  let eta;
+  const job = await queue.enqueue('vector-index', 'Build', async (context) => {
+    // Resumed from a checkpoint at 900 of 1000, then 10 more in 10 seconds
+    context.progress({ stage: 'embedding', current: 900, total: 1000 });
+    const live = queue.live.get(job.id);
+    live.stageStartedAt = new Date(Date.now() - 10000).toISOString();
+    context.progress({ current: 910 });
+    eta = queue.toJSON(live).etaSeconds;
+  });
+  await queue.waitFor(job.id);
+
+  assert.equal(eta, 90);
+});
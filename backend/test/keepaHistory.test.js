@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  keepaTimeToISO,
+  parseHistoryArray,
+  decodeHistory,
+  historySnapshots,
+  productHistorySnapshots,
+  checkHistorySidecar
+} from '../ingest/keepaHistory.js';
+
+// Keepa minutes of 2024-01-01T00:00:00Z and one day later
+const JAN_1 = 6837120;
+const JAN_2 = JAN_1 + 24 * 60;
+
+test('Keepa time counts minutes from 2011-01-01 UTC', () => {
+  assert.equal(keepaTimeToISO(0), '2011-01-01T00:00:00.000Z');
+  assert.equal(keepaTimeToISO(JAN_1), '2024-01-01T00:00:00.000Z');
+  assert.equal(keepaTimeToISO(JAN_2 + 90), '2024-01-02T01:30:00.000Z');
+});
+
+test('parseHistoryArray accepts only flat integer arrays of whole points', () => {
+  assert.deepEqual(parseHistoryArray(` [${JAN_1}, 1999] `), [JAN_1, 1999]);
+  assert.deepEqual(parseHistoryArray([JAN_1, 1999, 0], 3), [JAN_1, 1999, 0]);
+  assert.equal(parseHistoryArray(`[${JAN_1}, 1999, ${JAN_2}]`), null);
+  assert.equal(parseHistoryArray([JAN_1, 1999], 3), null);
+  assert.equal(parseHistoryArray('[1, 19.99]'), null);
+  assert.equal(parseHistoryArray('[1, 2'), null);
+  assert.equal(parseHistoryArray('19.99'), null);
+});
+
+test('-1 leaves the series empty and -2 is skipped', () => {
+  assert.deepEqual(decodeHistory([JAN_1, 1999, JAN_2, -1, JAN_2 + 60, -2, JAN_2 + 120, 2499], 'NEW'), [
+    { time: '2024-01-01T00:00:00.000Z', value: 19.99 },
+    { time: '2024-01-02T00:00:00.000Z', value: null },
+    { time: '2024-01-02T02:00:00.000Z', value: 24.99 }
+  ]);
+  assert.deepEqual(decodeHistory([JAN_1, 45, JAN_2, 1200], 'RATING').map(point => point.value), [4.5, 120]);
+  assert.deepEqual(decodeHistory([JAN_1, 1200], 'COUNT_REVIEWS').map(point => point.value), [1200]);
+});
+
+test('the Buy Box history is read in triples and stored as the landed price', () => {
+  const points = decodeHistory([JAN_1, 1999, 500, JAN_2, 2099, -1, JAN_2 + 60, -1, 0], 'BUY_BOX_SHIPPING');
+  assert.deepEqual(points.map(point => point.value), [24.99, 20.99, null]);
+  assert.equal(points[1].time, '2024-01-02T00:00:00.000Z');
+});
+
+test('snapshots carry the latest value of every series at each change', () => {
+  const rows = historySnapshots('B0AAAAAAA1', {
+    price: [{ time: '2024-01-01T00:00:00.000Z', value: 10 }, { time: '2024-01-03T00:00:00.000Z', value: 12 }],
+    sales_rank: [{ time: '2024-01-02T00:00:00.000Z', value: 500 }]
+  });
+  assert.deepEqual(rows, [
+    { asin: 'B0AAAAAAA1', snapshot_at: '2024-01-01T00:00:00.000Z', price: 10 },
+    { asin: 'B0AAAAAAA1', snapshot_at: '2024-01-02T00:00:00.000Z', price: 10, sales_rank: 500 },
+    { asin: 'B0AAAAAAA1', snapshot_at: '2024-01-03T00:00:00.000Z', price: 12, sales_rank: 500 }
+  ]);
+});
+
+test('Keepa API products are decoded from their csv array by history index', () => {
+  const csv = [];
+  csv[0] = [JAN_1, 1899];
+  csv[3] = [JAN_1, 4200];
+  csv[18] = [JAN_1, 1999, 0];
+  csv[1] = 'not a history';
+  assert.deepEqual(productHistorySnapshots({ asin: 'B0AAAAAAA1', csv }), [
+    { asin: 'B0AAAAAAA1', snapshot_at: '2024-01-01T00:00:00.000Z', amazon_price: 18.99, sales_rank: 4200, price: 19.99 }
+  ]);
+});
+
+test('checkHistorySidecar explains why a file is not a history sidecar', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sidecar-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+
+  assert.equal(checkHistorySidecar(write('good.history.json', JSON.stringify({ products: [{ asin: 'B0AAAAAAA1', csv: [] }] }))), null);
+  assert.match(checkHistorySidecar(write('settings.history.json', '{"theme": "dark"}')), /no Keepa products/);
+  assert.match(checkHistorySidecar(write('null.history.json', 'null')), /no Keepa products/);
+  assert.match(checkHistorySidecar(write('broken.history.json', '{"products": [')), /not valid JSON/);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { buildFilterConditions } from '../search/productFilters.js';
+
+test('category filters match % and _ literally', async () => {
+  const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  await db.exec(`
+    CREATE TABLE products (asin TEXT, category TEXT, category_path TEXT);
+    INSERT INTO products VALUES ('A', 'Home', 'Home > Kitchen'), ('B', 'Toys', 'Toys > 100% Cotton_Dolls');
+  `);
+  const matching = async (category) => {
+    const { conditions, params } = buildFilterConditions({ category });
+    const rows = await db.all(`SELECT asin FROM products WHERE ${conditions.join(' AND ')} ORDER BY asin`, params);
+    return rows.map(row => row.asin);
+  };
+
+  assert.deepEqual(await matching('kitchen'), ['A']);
+  assert.deepEqual(await matching('home'), ['A']);
+  assert.deepEqual(await matching('_'), ['B']);
+  assert.deepEqual(await matching('%'), ['B']);
+  assert.deepEqual(await matching('Kit_hen'), []);
+  await db.close();
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { parseProductFields, loadProducts, attachProducts, PRODUCT_FIELDS, PRODUCT_FIELD_SETS } from '../search/productRecords.js';
+
+// A products table with every column TEXT, the way older imports stored numbers
+async function openProductDatabase(t) {
+  const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  t.after(() => db.close());
+  const columns = Object.values(PRODUCT_FIELDS).map(({ column }) => column).filter(column => column !== 'asin');
+  await db.exec(`CREATE TABLE products (asin TEXT PRIMARY KEY, ${columns.map(column => `${column} TEXT`).join(', ')})`);
+  return db;
+}
+
+test('parseProductFields accepts the presets and defaults to summary', () => {
+  for (const preset of ['basic', 'summary', 'full']) {
+    assert.deepEqual(parseProductFields(preset), { fields: PRODUCT_FIELD_SETS[preset], errors: [] });
+  }
+  for (const missing of [undefined, null, '']) {
+    assert.deepEqual(parseProductFields(missing).fields, PRODUCT_FIELD_SETS.summary);
+  }
+  assert.deepEqual(PRODUCT_FIELD_SETS.full, Object.keys(PRODUCT_FIELDS));
+});
+
+test('parseProductFields reads field lists, always including asin', () => {
+  assert.deepEqual(parseProductFields(' title , price,,salesRank '), { fields: ['asin', 'title', 'price', 'salesRank'], errors: [] });
+  assert.deepEqual(parseProductFields(['price', 'asin', 'price']).fields, ['asin', 'price']);
+  assert.deepEqual(parseProductFields('buyBoxAvg90').fields, ['asin', 'buyBoxAvg90']);
+});
+
+test('parseProductFields rejects unknown fields and malformed input', () => {
+  assert.deepEqual(parseProductFields('title,sales_rank,cost'), { fields: [], errors: ['Unknown fields: sales_rank, cost'] });
+  assert.deepEqual(parseProductFields('Basic').errors, ['Unknown fields: Basic']);
+  for (const input of [42, { title: true }, ['title', 7]]) {
+    assert.deepEqual(parseProductFields(input), {
+      fields: [],
+      errors: ['fields must be one of basic, summary, full or a list of field names']
+    });
+  }
+});
+
+test('loadProducts returns typed values, with empty strings as null', async (t) => {
+  const db = await openProductDatabase(t);
+  await db.run(
+    `INSERT INTO products (asin, title, price, sales_rank, review_rating, review_count, model, buy_box_avg_90)
+     VALUES ('B000000001', 'Blender', '89.999', '1204.4', '4.7', '', '1000', 'n/a')`
+  );
+
+  const products = await loadProducts(db, ['B000000001', 'B0MISSING1'], ['title', 'price', 'salesRank', 'reviewRating', 'reviewCount', 'model', 'buyBoxAvg90']);
+
+  assert.deepEqual([...products.keys()], ['B000000001']);
+  assert.deepEqual(products.get('B000000001'), {
+    asin: 'B000000001',
+    title: 'Blender',
+    price: 90,
+    salesRank: 1204,
+    reviewRating: 4.7,
+    reviewCount: null,
+    model: '1000',
+    buyBoxAvg90: null
+  });
+});
+
+test('loadProducts queries at most 500 ASINs at a time', async (t) => {
+  const db = await openProductDatabase(t);
+  const asins = Array.from({ length: 1203 }, (_, i) => `B${String(i).padStart(9, '0')}`);
+  await db.run('BEGIN TRANSACTION');
+  for (const asin of asins) {
+    await db.run('INSERT INTO products (asin, price) VALUES (?, ?)', [asin, '10']);
+  }
+  await db.run('COMMIT');
+
+  const queried = [];
+  const all = db.all.bind(db);
+  t.mock.method(db, 'all', (sql, params) => {
+    queried.push(params.length);
+    return all(sql, params);
+  });
+
+  const products = await loadProducts(db, [...asins, asins[0], null], ['price']);
+  assert.deepEqual(queried, [500, 500, 203]);
+  assert.equal(products.size, 1203);
+  assert.deepEqual(products.get(asins[1202]), { asin: asins[1202], price: 10 });
+});
+
+test('attachProducts sets product to null for ASINs no longer in the table', async (t) => {
+  const db = await openProductDatabase(t);
+  await db.run(`INSERT INTO products (asin, title) VALUES ('B000000001', 'Blender')`);
+
+  const results = await attachProducts(db, [{ metadata: { asin: 'B000000001' } }, { metadata: { asin: 'B0DELETED1' } }, { metadata: {} }], ['title']);
+  assert.deepEqual(results.map(result => result.product), [{ asin: 'B000000001', title: 'Blender' }, null, null]);
+});
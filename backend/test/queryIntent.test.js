@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectIntent, extractAsins } from '../analytics/queryIntent.js';
+
+test('extractAsins finds B0 ids and ISBN-10s once each, upper-cased', () => {
+  assert.deepEqual(
+    extractAsins('Compare b0abcdefgh with B0ABCDEFGH and 030640615X'),
+    ['B0ABCDEFGH', '030640615X']
+  );
+  assert.deepEqual(extractAsins('no ids in here, not even B0SHORT'), []);
+});
+
+test('two ASINs or an explicit comparison is a comparison', () => {
+  assert.equal(detectIntent('B0ABCDEFGH or B0ABCDEFGI?').type, 'comparison');
+  assert.equal(detectIntent('compare B0ABCDEFGH').type, 'comparison');
+  assert.equal(detectIntent('tell me about B0ABCDEFGH').type, 'semantic');
+});
+
+test('extremes pick their metric and sort order', () => {
+  assert.deepEqual(
+    (({ type, metric, order, limit }) => ({ type, metric, order, limit }))(detectIntent("What's the best seller in this list?")),
+    { type: 'extreme', metric: 'sales_rank', order: 'asc', limit: 1 }
+  );
+  assert.equal(detectIntent('Which is the cheapest?').metric, 'price');
+  assert.equal(detectIntent('Which is the cheapest?').order, 'asc');
+  assert.equal(detectIntent('Which one is the most expensive?').order, 'desc');
+  assert.equal(detectIntent('Show the best rated product').metric, 'review_rating');
+});
+
+test('a requested count turns an extreme into a ranking, capped at 25', () => {
+  const intent = detectIntent('top 3 best sellers');
+  assert.equal(intent.type, 'ranking');
+  assert.equal(intent.limit, 3);
+  assert.equal(detectIntent('five cheapest products').limit, 5);
+  assert.equal(detectIntent('top 100 best sellers').limit, 25);
+});
+
+test('trends read their time window and list several products', () => {
+  const intent = detectIntent('Which ASIN dropped in price most in the last 30 days?');
+  assert.equal(intent.type, 'trend');
+  assert.equal(intent.metric, 'price_drop');
+  assert.equal(intent.days, 30);
+
+  const restock = detectIntent('Any trends suggesting I should restock?');
+  assert.equal(restock.metric, 'demand');
+  assert.equal(restock.limit, 5);
+  assert.equal(detectIntent('Which product has had the most stable price?').metric, 'price_stability');
+});
+
+test('"similar to" questions stay semantic even when they mention a metric', () => {
+  const intent = detectIntent('cheapest blender similar to the Ninja');
+  assert.equal(intent.type, 'semantic');
+  assert.equal(intent.analytical, false);
+  assert.equal(detectIntent('').type, 'semantic');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { setupSnapshotTable, insertSnapshots, getSnapshots } from '../ingest/snapshots.js';
+
+const ASIN = 'B0AAAAAAA1';
+const DAY = '2024-05-22T00:00:00.000Z';
+
+async function openDatabase() {
+  return open({ filename: ':memory:', driver: sqlite3.Database });
+}
+
+test('a history point at the time of an export keeps both rows', async () => {
+  const db = await openDatabase();
+  await setupSnapshotTable(db);
+
+  await insertSnapshots(db, [{ asin: ASIN, snapshot_at: DAY, price: 19.99, review_count: 120 }], 'export.csv');
+  await insertSnapshots(db, [{ asin: ASIN, snapshot_at: DAY, price: 18.99, sales_rank: 4200 }], 'products.history.json');
+
+  // Replacing the sidecar's rows leaves the export's snapshot alone
+  await db.run('DELETE FROM product_snapshots WHERE source_file = ?', ['products.history.json']);
+  const rows = await db.all('SELECT source_file, price, review_count FROM product_snapshots');
+  assert.deepEqual(rows, [{ source_file: 'export.csv', price: 19.99, review_count: 120 }]);
+});
+
+test('getSnapshots merges rows of several files at the same time', async () => {
+  const db = await openDatabase();
+  await setupSnapshotTable(db);
+  await insertSnapshots(db, [{ asin: ASIN, snapshot_at: DAY, price: 19.99, review_count: 120 }], 'export.csv');
+  await insertSnapshots(db, [
+    { asin: ASIN, snapshot_at: '2024-05-01T00:00:00.000Z', price: 21.5 },
+    { asin: ASIN, snapshot_at: DAY, price: 18.99, sales_rank: 4200 }
+  ], 'products.history.json');
+  // The same file writing the same time again replaces its row
+  await insertSnapshots(db, [{ asin: ASIN, snapshot_at: DAY, price: 20.49, review_count: 125 }], 'export.csv');
+
+  const snapshots = await getSnapshots(db, ASIN);
+  assert.deepEqual(snapshots.map(({ capturedAt, sourceFile, price, salesRank, reviewCount }) => ({ capturedAt, sourceFile, price, salesRank, reviewCount })), [
+    { capturedAt: '2024-05-01T00:00:00.000Z', sourceFile: 'products.history.json', price: 21.5, salesRank: null, reviewCount: null },
+    { capturedAt: DAY, sourceFile: 'export.csv', price: 20.49, salesRank: 4200, reviewCount: 125 }
+  ]);
+});
+
+test('tables keyed by (asin, captured_at) are rebuilt keyed by source file', async () => {
+  const db = await openDatabase();
+  await db.exec(`
+    CREATE TABLE product_snapshots (
+      asin TEXT NOT NULL,
+      captured_at TEXT NOT NULL,
+      source_file TEXT,
+      price REAL,
+      sales_rank INTEGER,
+      review_rating REAL,
+      review_count INTEGER,
+      PRIMARY KEY (asin, captured_at)
+    );
+    INSERT INTO product_snapshots (asin, captured_at, source_file, price) VALUES ('${ASIN}', '${DAY}', 'export.csv', 19.99);
+    INSERT INTO product_snapshots (asin, captured_at, source_file, price) VALUES ('${ASIN}', '2024-05-01', NULL, 21.5);
+  `);
+
+  await setupSnapshotTable(db);
+  await setupSnapshotTable(db);
+  await insertSnapshots(db, [{ asin: ASIN, snapshot_at: DAY, price: 18.99 }], 'products.history.json');
+
+  const rows = await db.all('SELECT captured_at, source_file, price FROM product_snapshots ORDER BY captured_at, source_file');
+  assert.deepEqual(rows, [
+    { captured_at: '2024-05-01', source_file: '', price: 21.5 },
+    { captured_at: DAY, source_file: 'export.csv', price: 19.99 },
+    { captured_at: DAY, source_file: 'products.history.json', price: 18.99 }
+  ]);
+  const key = (await db.all('PRAGMA table_info(product_snapshots)')).filter(column => column.pk).map(column => column.name);
+  assert.deepEqual(key, ['asin', 'captured_at', 'source_file']);
+});
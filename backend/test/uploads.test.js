@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { receiveCsvUpload, safeCsvFilename, removeStaleUploads } from '../ingest/uploads.js';
+
+// A server that stores every upload in dir and reports the outcome to onResult
+async function uploadServer(dir, options, onResult) {
+  const server = http.createServer((req, res) => {
+    receiveCsvUpload(req, dir, options).then(
+      upload => { onResult({ upload }); res.end(JSON.stringify(upload)); },
+      error => { onResult({ error }); res.statusCode = error.status || 500; res.end(error.message); }
+    );
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+function postFile(url, name, contents) {
+  const form = new FormData();
+  form.append('file', new Blob([contents], { type: 'text/csv' }), name);
+  return fetch(url, { method: 'POST', body: form });
+}
+
+test('safeCsvFilename keeps only plain .csv names', () => {
+  assert.equal(safeCsvFilename('../../etc/KeepaExport.csv'), 'KeepaExport.csv');
+  assert.equal(safeCsvFilename('export.json'), null);
+  assert.equal(safeCsvFilename('.csv'), null);
+});
+
+test('an upload replaces the file of the same name', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepagpt-uploads-'));
+  fs.writeFileSync(path.join(dir, 'export.csv'), 'ASIN\nB0AAAAAAA1\n');
+  const { server, url } = await uploadServer(dir, {}, () => {});
+
+  try {
+    const res = await postFile(url, 'export.csv', 'ASIN\nB0AAAAAAA1\nB0AAAAAAA2\n');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).filename, 'export.csv');
+    assert.equal(fs.readFileSync(path.join(dir, 'export.csv'), 'utf8'), 'ASIN\nB0AAAAAAA1\nB0AAAAAAA2\n');
+    assert.deepEqual(fs.readdirSync(dir), ['export.csv']);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an upload never replaces a file an active job uses, nor the numbered files next to it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepagpt-uploads-'));
+  fs.writeFileSync(path.join(dir, 'export.csv'), 'being imported');
+  fs.writeFileSync(path.join(dir, 'export-2.csv'), 'earlier upload');
+  const reserved = new Set(['export.csv', 'export-3.csv']);
+  const { server, url } = await uploadServer(dir, { isReserved: (name) => reserved.has(name) }, () => {});
+
+  try {
+    const res = await postFile(url, 'export.csv', 'ASIN\nB0AAAAAAA1\n');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).filename, 'export-4.csv');
+    assert.equal(fs.readFileSync(path.join(dir, 'export.csv'), 'utf8'), 'being imported');
+    assert.equal(fs.readFileSync(path.join(dir, 'export-2.csv'), 'utf8'), 'earlier upload');
+    assert.equal(fs.readFileSync(path.join(dir, 'export-4.csv'), 'utf8'), 'ASIN\nB0AAAAAAA1\n');
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['export-2.csv', 'export-4.csv', 'export.csv']);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('removeStaleUploads deletes only the temporary files of unfinished uploads', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepagpt-uploads-'));
+  try {
+    for (const name of ['.upload-1b9d6bcd', '.upload-6ec0bd7f', 'export.csv', 'upload-notes.csv']) {
+      fs.writeFileSync(path.join(dir, name), '');
+    }
+    assert.deepEqual(removeStaleUploads(dir).sort(), ['.upload-1b9d6bcd', '.upload-6ec0bd7f']);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['export.csv', 'upload-notes.csv']);
+    assert.deepEqual(removeStaleUploads(path.join(dir, 'missing')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a client abort rejects the upload and removes the temporary file', { timeout: 5000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepagpt-uploads-'));
+  let settle;
+  const result = new Promise(resolve => { settle = resolve; });
+  const { server, url } = await uploadServer(dir, {}, settle);
+
+  try {
+    const boundary = 'keepagpt-test-boundary';
+    const req = http.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': 1000000 }
+    });
+    req.on('error', () => {});
+    req.write(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="partial.csv"\r\n\r\nASIN\nB0AAAAAAA1\n`);
+    // Let the server open the temporary file before the client goes away
+    await new Promise(resolve => setTimeout(resolve, 100));
+    req.destroy();
+
+    const { error } = await result;
+    assert.match(error.message, /aborted/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
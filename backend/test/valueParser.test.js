@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKeepaValue, ValueParser } from '../ingest/valueParser.js';
+
+const value = (raw, kind, options) => parseKeepaValue(raw, kind, options).value;
+
+test('currency cells with grouping and either decimal separator', () => {
+  assert.equal(value('$1,299.00', 'currency'), 1299);
+  assert.equal(value('1.299,00 €', 'currency'), 1299);
+  assert.equal(value('12,50 €', 'currency'), 12.5);
+  assert.equal(value('£ 9.99', 'currency'), 9.99);
+  assert.equal(value('EUR 1.204', 'currency'), 1204);
+  assert.equal(value('(5.00)', 'currency'), -5);
+});
+
+test('a single separator before three digits is grouping for counts', () => {
+  assert.equal(value('1.204', 'integer'), 1204);
+  assert.equal(value('1,204', 'integer'), 1204);
+  assert.equal(value('1,204,311', 'integer'), 1204311);
+  assert.equal(value('1.204', 'decimal'), 1.204);
+  assert.equal(value('4,5', 'decimal'), 4.5);
+});
+
+test('a forced decimal separator overrides detection', () => {
+  assert.equal(value('1.204', 'decimal', { decimal: ',' }), 1204);
+  assert.equal(value('1,204', 'decimal', { decimal: ',' }), 1.204);
+});
+
+test('percent cells are percent points', () => {
+  assert.equal(value('15 %', 'percent'), 15);
+  assert.equal(value('-3.5%', 'percent'), -3.5);
+});
+
+test('empty markers are null without an error, junk is an error', () => {
+  for (const raw of ['', '-', '–', 'n/a', 'None', undefined, null]) {
+    assert.deepEqual(parseKeepaValue(raw, 'currency'), { value: null, error: false });
+  }
+  assert.deepEqual(parseKeepaValue('about ten', 'integer'), { value: null, error: true });
+  assert.deepEqual(parseKeepaValue(Number.NaN), { value: null, error: true });
+  assert.deepEqual(parseKeepaValue(42), { value: 42, error: false });
+});
+
+test('ValueParser tallies errors per column with short samples', () => {
+  const parser = new ValueParser();
+  assert.equal(parser.parse('Price', '$3.00', 'currency'), 3);
+  parser.parse('Price', 'call us', 'currency');
+  parser.parse('Price', 'n.a.', 'currency');
+  parser.reject('Amazon: History', `[${'1,'.repeat(100)}1]`);
+
+  assert.equal(parser.errorCount, 3);
+  const summary = parser.summary();
+  assert.deepEqual(summary.Price, { count: 2, samples: ['call us', 'n.a.'] });
+  assert.equal(summary['Amazon: History'].samples[0].length, 80);
+});
@@ -0,0 +1,94 @@
+import fs from 'fs';
+
+/**
+ * Vector index build checkpoints
+ * A build saves how far it got through the products table, so a restart
+ * resumes instead of re-embedding everything. Each checkpoint records the
+ * embedding model and dimension it was written with, and is only resumed
+ * from with the same ones - the vectors it stands for live in that model's space
+ */
+
+/**
+ * Path of the copy kept in case the checkpoint itself gets corrupted
+ * @param {string} checkpointPath Path for the checkpoint file
+ * @returns {string} Backup path
+ */
+export function backupCheckpointPath(checkpointPath) {
+  return `${checkpointPath}.backup`;
+}
+
+/**
+ * Save build progress
+ * @param {string} checkpointPath Path for the checkpoint file
+ * @param {Object} progress { offset, processed } plus any error details
+ * @param {Object} embedding { model, dimension } of the build
+ */
+export function writeCheckpoint(checkpointPath, progress, { model, dimension }) {
+  fs.writeFileSync(checkpointPath, JSON.stringify({
+    ...progress,
+    model,
+    dimension,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+/**
+ * Read a checkpoint written by writeCheckpoint()
+ * @param {string} filePath Checkpoint or backup file
+ * @param {Object} embedding { model, dimension, legacyModel } of the build about to run
+ * @returns {Object|null} The checkpoint, null when it belongs to another model or dimension
+ * @throws {SyntaxError} When the file is corrupted
+ */
+export function readCheckpoint(filePath, { model, dimension, legacyModel = null }) {
+  const checkpoint = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  // Checkpoints saved without a model id were always written with the legacy (default) model
+  const checkpointModel = checkpoint.model ?? legacyModel;
+  const checkpointDimension = checkpoint.dimension ?? dimension;
+  if (checkpointModel !== model || checkpointDimension !== dimension) {
+    console.warn(`Discarding checkpoint of ${checkpointModel} (${checkpointDimension} dimensions), the model is now ${model} (${dimension} dimensions)`);
+    return null;
+  }
+  return checkpoint;
+}
+
+/**
+ * Checkpoint to resume a build from, falling back to the backup when the
+ * checkpoint is corrupted. A checkpoint that can't be resumed from is deleted
+ * along with its backup, so the next start doesn't try again
+ * @param {string} checkpointPath Path for the checkpoint file
+ * @param {Object} embedding { model, dimension, legacyModel } of the build about to run
+ * @returns {Object|null} { offset, processed, ... }, null to start from the beginning
+ */
+export function loadCheckpoint(checkpointPath, embedding) {
+  if (!fs.existsSync(checkpointPath)) return null;
+  const backupPath = backupCheckpointPath(checkpointPath);
+
+  let checkpoint = null;
+  try {
+    checkpoint = readCheckpoint(checkpointPath, embedding);
+    if (checkpoint) {
+      // Back up only once it parsed, so a corrupted file never replaces the backup it would be recovered from
+      fs.copyFileSync(checkpointPath, backupPath);
+      console.log(`Resuming from checkpoint: processed ${checkpoint.processed || 0} products, starting at offset ${checkpoint.offset || 0}`);
+    }
+  } catch (error) {
+    console.warn(`Error reading checkpoint: ${error.message}`);
+
+    if (fs.existsSync(backupPath)) {
+      try {
+        checkpoint = readCheckpoint(backupPath, embedding);
+        if (checkpoint) {
+          console.log(`Recovered from backup checkpoint: processed ${checkpoint.processed || 0}, offset ${checkpoint.offset || 0}`);
+        }
+      } catch (backupError) {
+        console.warn(`Backup checkpoint also corrupted: ${backupError.message}`);
+      }
+    }
+  }
+
+  if (!checkpoint) {
+    fs.rmSync(checkpointPath, { force: true });
+    fs.rmSync(backupPath, { force: true });
+  }
+  return checkpoint;
+}
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import hnswlib from 'hnswlib-node';
 
 /**
@@ -9,9 +10,17 @@ import hnswlib from 'hnswlib-node';
 export class HNSWVectorStore {
   constructor(options = {}) {
     this.generateEmbedding = options.generateEmbedding;
+    // Optional batch variant: texts -> embeddings, null where a text could not be embedded
+    this.generateEmbeddings = options.generateEmbeddings || null;
     this.index = null;
-    this.documents = [];
-    this.dimension = 384; // Default dimension for all-MiniLM-L6-v2
+    this.documents = []; // Indexed by HNSW label; null where a document was deleted
+    this.asinLabels = new Map(); // ASIN -> labels of its current documents, one per chunk
+    this.deletedCount = 0;
+    // Embedding model and its output size, detected by the caller from a probe embedding
+    this.model = options.model || null;
+    this.dimension = options.dimension || 384;
+    // Model that indexes saved before the model id was recorded were built with
+    this.legacyModel = options.legacyModel || null;
     this.maxElements = 10000; // Default size, will be increased as needed
     this.initialized = false;
     this.indexBuilt = false; // Track if the index has docs added
@@ -20,6 +29,103 @@ export class HNSWVectorStore {
     this.M = 16; // Index quality parameter
   }
 
+  /**
+   * Hash of the text a document is embedded from, used to spot changed products
+   * @param {string} pageContent Document text
+   * @returns {string} Hex digest
+   */
+  static hashContent(pageContent) {
+    return crypto.createHash('sha1').update(pageContent || '').digest('hex');
+  }
+
+  /**
+   * Number of documents that have not been deleted
+   * @returns {number} Live document count
+   */
+  get documentCount() {
+    return this.documents.length - this.deletedCount;
+  }
+
+  /**
+   * Number of products with at least one document
+   * @returns {number} Indexed ASIN count
+   */
+  get productCount() {
+    return this.asinLabels.size;
+  }
+
+  /**
+   * Content hash of the indexed documents for an ASIN. Every chunk of a
+   * product carries the hash of the product's complete text
+   * @param {string} asin Product ASIN
+   * @returns {string|undefined} Hash, undefined when the ASIN is not indexed
+   */
+  getContentHash(asin) {
+    const labels = this.asinLabels.get(asin);
+    return labels ? this.documents[labels[0]]?.metadata?.contentHash : undefined;
+  }
+
+  /**
+   * What a sync has to do with a product of the products table
+   * @param {string} asin Product ASIN
+   * @param {string} contentHash Content hash of the product's current documents
+   * @returns {string|null} 'added' when it is not indexed, 'updated' when its text
+   *   changed, null when the index is up to date
+   */
+  syncAction(asin, contentHash) {
+    if (this.getContentHash(asin) === contentHash) return null;
+    return this.asinLabels.has(asin) ? 'updated' : 'added';
+  }
+
+  /**
+   * Indexed products that are gone from the products table
+   * @param {Set<string>} present ASINs currently in the products table
+   * @returns {string[]} ASINs to delete
+   */
+  removedAsins(present) {
+    return [...this.asinLabels.keys()].filter(asin => !present.has(asin));
+  }
+
+  /**
+   * Mark some of an ASIN's documents deleted
+   * @param {string} asin Product ASIN
+   * @param {Function} predicate (document) => true to delete it
+   * @returns {number} Number of documents deleted
+   */
+  deleteLabels(asin, predicate) {
+    const labels = this.asinLabels.get(asin);
+    if (!labels) return 0;
+
+    const kept = [];
+    for (const label of labels) {
+      if (!predicate(this.documents[label])) {
+        kept.push(label);
+        continue;
+      }
+      this.index.markDelete(label);
+      this.documents[label] = null;
+      this.deletedCount++;
+    }
+
+    if (kept.length > 0) this.asinLabels.set(asin, kept);
+    else this.asinLabels.delete(asin);
+    return labels.length - kept.length;
+  }
+
+  /**
+   * Remove products from search results. hnswlib keeps the vectors but
+   * markDelete() excludes their labels from every future search
+   * @param {string[]} asins ASINs to delete
+   * @returns {number} Number of products deleted
+   */
+  deleteDocuments(asins) {
+    let deleted = 0;
+    for (const asin of asins) {
+      if (this.deleteLabels(asin, () => true) > 0) deleted++;
+    }
+    return deleted;
+  }
+
   /**
    * Initialize the HNSW index from scratch
    */
@@ -41,8 +147,46 @@ export class HNSWVectorStore {
   }
 
   /**
-   * Add documents to the vector store
+   * Embed texts in one batch when a batch embedder is available
+   * @param {string[]} texts Texts to embed
+   * @returns {Promise<Array>} One embedding per text, null where embedding failed
+   */
+  async embedTexts(texts) {
+    if (this.generateEmbeddings) return this.generateEmbeddings(texts);
+
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.generateEmbedding(text));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Grow the index so it can hold count more points
+   * @param {number} count Points about to be added
+   * @returns {boolean} False if the resize failed
+   */
+  ensureCapacity(count) {
+    if (this.documents.length + count <= this.maxElements) return true;
+
+    try {
+      const newSize = Math.max(this.maxElements * 2, this.documents.length + count);
+      console.log(`Resizing index from ${this.maxElements} to ${newSize} elements`);
+      this.index.resizeIndex(newSize);
+      this.maxElements = newSize;
+      return true;
+    } catch (error) {
+      console.error(`Failed to resize index: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Add documents to the vector store. The whole batch is embedded with one
+   * model call and inserted after a single capacity check - hnswlib-node has
+   * no bulk insert, so points are then added one addPoint() call at a time
    * @param {Array} documents Array of documents with pageContent and metadata
+   * @returns {Promise<boolean>} False if the batch could not be embedded or inserted completely
    */
   async addDocuments(documents) {
     if (!this.initialized || !this.index) {
@@ -53,61 +197,58 @@ export class HNSWVectorStore {
       }
     }
 
-    if (!documents || documents.length === 0) return true;
+    // Skip documents without content
+    const docs = (documents || []).filter(doc => doc?.pageContent);
+    if (docs.length === 0) return true;
 
-    // Expand index if needed
-    if (this.documents.length + documents.length > this.maxElements) {
-      try {
-        const newSize = Math.max(this.maxElements * 2, this.documents.length + documents.length);
-        console.log(`Resizing index from ${this.maxElements} to ${newSize} elements`);
-        this.index.resizeIndex(newSize);
-        this.maxElements = newSize;
-        console.log(`Index resized to ${newSize} elements`);
-      } catch (error) {
-        console.error(`Failed to resize index: ${error.message}`);
-        return false;
-      }
+    let embeddings;
+    try {
+      embeddings = await this.embedTexts(docs.map(doc => doc.pageContent));
+    } catch (error) {
+      console.error(`Error embedding ${docs.length} documents: ${error.message}`);
+      return false;
     }
-    
-    let docsProcessed = 0;
+
+    if (!this.ensureCapacity(docs.length)) return false;
+
     let batchSuccessful = true;
-    
-    for (const doc of documents) {
+    let skipped = 0;
+
+    docs.forEach((doc, i) => {
+      // Ensure embedding is a numeric array
+      const embeddingArray = this.ensureEmbeddingIsArray(embeddings[i]);
+      if (!embeddingArray) {
+        skipped++;
+        return;
+      }
+
       try {
-        // Skip documents without content
-        if (!doc.pageContent) continue;
-        
-        // Generate embedding for the document
-        const embedding = await this.generateEmbedding(doc.pageContent);
-        if (!embedding) {
-          console.warn("⚠️ Failed to generate embedding for document");
-          continue;
-        }
-        
-        // Ensure embedding is a numeric array
-        const embeddingArray = this.ensureEmbeddingIsArray(embedding);
-        if (!embeddingArray) {
-          console.warn("⚠️ Could not convert embedding to array for document");
-          continue;
+        // A changed product replaces its previous documents. Chunks of the same
+        // version share a content hash, so they never replace each other - only
+        // a re-embedded copy of the same chunk (a resumed build) does
+        const asin = doc.metadata?.asin;
+        if (asin) {
+          const chunk = doc.metadata.chunk || 0;
+          this.deleteLabels(asin, existing =>
+            existing.metadata.contentHash !== doc.metadata.contentHash || (existing.metadata.chunk || 0) === chunk);
         }
 
         // Add to index - this automatically builds the index in hnswlib-node
         const docIndex = this.documents.length;
         this.index.addPoint(embeddingArray, docIndex);
         this.documents.push(doc);
+        if (asin) this.asinLabels.set(asin, [...(this.asinLabels.get(asin) || []), docIndex]);
         this.indexBuilt = true; // Mark that we have added points
-
-        docsProcessed++;
-        if (docsProcessed % 1000 === 0) {
-          console.log(`✅ Processed ${docsProcessed} documents`);
-        }  
       } catch (error) {
         console.error(`Error adding document to vector store: ${error.message}`);
         batchSuccessful = false;
       }
+    });
+
+    if (skipped > 0) {
+      console.warn(`⚠️ Failed to generate embeddings for ${skipped} of ${docs.length} documents`);
+      batchSuccessful = false;
     }
-    
-    console.log(`Added ${docsProcessed} documents to vector store`);
     return batchSuccessful;
   }
 
@@ -149,16 +290,18 @@ export class HNSWVectorStore {
    * @returns {boolean} True if ready for search
    */
   isSearchable() {
-    return this.initialized && this.index && this.indexBuilt && this.documents.length > 0;
+    return this.initialized && this.index && this.indexBuilt && this.documentCount > 0;
   }
 
   /**
-   * Perform similarity search
+   * Perform similarity search. A product split into chunks is returned once,
+   * as its best-matching chunk
    * @param {string} query Query text
-   * @param {number} k Number of results to return
+   * @param {number} k Number of products to return
+   * @param {Object} options Optional { filter(doc) } predicate restricting the candidates
    * @returns {Array} Array of documents with similarity score
    */
-  async similaritySearch(query, k = 5) {
+  async similaritySearch(query, k = 5, options = {}) {
     if (!this.isSearchable()) {
       console.warn('Vector store not ready for search - not initialized or empty');
       return [];
@@ -179,26 +322,83 @@ export class HNSWVectorStore {
         return [];
       }
 
-      // Limit k to the number of documents
-      const effectiveK = Math.min(k, this.documents.length);
+      // Limit k to the number of products still searchable
+      const effectiveK = Math.min(k, this.productCount || this.documentCount);
       if (effectiveK === 0) return [];
 
-      // Search the index
-      const result = this.index.searchKnn(queryEmbeddingArray, effectiveK);
-      
-      // Map results to documents
-      return result.neighbors.map((docIndex, i) => {
-        return {
-          ...this.documents[docIndex],
-          score: result.distances[i]
-        };
-      });
+      // Search the index, letting hnswlib skip labels the filter rejects
+      const filter = options.filter
+        ? (label) => Boolean(this.documents[label]) && options.filter(this.documents[label])
+        : undefined;
+
+      // Chunks of one product can crowd each other into the top k - widen the search until k products are found
+      let searchK = effectiveK;
+      let hits;
+      while (true) {
+        let result = this.index.searchKnn(queryEmbeddingArray, searchK, filter);
+
+        // A selective filter can leave the search beam short of k matches - search deeper instead
+        if (filter && result.neighbors.length < searchK) {
+          result = this.searchDeeper(queryEmbeddingArray, searchK, filter);
+        }
+
+        hits = this.bestChunkPerProduct(result);
+        if (hits.length >= effectiveK || result.neighbors.length < searchK || searchK >= this.documentCount) break;
+        searchK = Math.min(searchK * 2, this.documentCount);
+      }
+
+      return hits.slice(0, effectiveK);
     } catch (error) {
       console.error(`Search error: ${error.message}`);
       return [];
     }
   }
 
+  /**
+   * Map hnswlib results to documents, keeping the closest chunk of each product
+   * @param {Object} result hnswlib search result, closest first
+   * @returns {Array} Documents with similarity score
+   */
+  bestChunkPerProduct(result) {
+    const seen = new Set();
+    const hits = [];
+    result.neighbors.forEach((docIndex, i) => {
+      const doc = this.documents[docIndex];
+      const asin = doc?.metadata?.asin;
+      if (asin && seen.has(asin)) return;
+      if (asin) seen.add(asin);
+      hits.push({ ...doc, score: result.distances[i] });
+    });
+    return hits;
+  }
+
+  /**
+   * Repeat a filtered search with a growing ef until k matches are found
+   * or the whole index has been explored
+   * @param {Array} queryEmbedding Query vector
+   * @param {number} k Number of results wanted
+   * @param {Function} filter hnswlib label filter
+   * @returns {Object} hnswlib search result
+   */
+  searchDeeper(queryEmbedding, k, filter) {
+    const originalEf = this.index.getEf();
+    let ef = Math.max(originalEf, k) * 4;
+    let result;
+
+    try {
+      while (true) {
+        this.index.setEf(Math.min(ef, this.documents.length));
+        result = this.index.searchKnn(queryEmbedding, k, filter);
+        if (result.neighbors.length >= k || ef >= this.documents.length) break;
+        ef *= 4;
+      }
+    } finally {
+      this.index.setEf(originalEf);
+    }
+
+    return result;
+  }
+
   /**
    * Save the vector store to disk
    * @param {string} filepath Base filepath to save to
@@ -223,15 +423,17 @@ export class HNSWVectorStore {
       
       // Save the index
       const indexPath = `${filepath}.index`;
-      this.index.writeIndex(indexPath);
+      await this.index.writeIndex(indexPath);
       
       // Save documents and metadata
       const metadataPath = `${filepath}.json`;
       const metadata = {
         documents: this.documents,
+        model: this.model,
         dimension: this.dimension,
         maxElements: this.maxElements,
         indexBuilt: this.indexBuilt,
+        deletedCount: this.deletedCount,
         spaceName: this.spaceName,
         efConstruction: this.efConstruction,
         M: this.M
@@ -239,7 +441,7 @@ export class HNSWVectorStore {
       
       fs.writeFileSync(metadataPath, JSON.stringify(metadata));
       
-      console.log(`Vector store saved to ${filepath} with ${this.documents.length} documents`);
+      console.log(`Vector store saved to ${filepath} with ${this.documentCount} documents`);
       return true;
     } catch (error) {
       console.error(`Error saving vector store: ${error.message}`);
@@ -266,13 +468,31 @@ export class HNSWVectorStore {
       
       // Load metadata first
       const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+
+      // Vectors from another model live in a different space - searching them returns garbage
+      const indexModel = metadata.model || this.legacyModel;
+      if (this.model && indexModel && indexModel !== this.model) {
+        console.warn(`Vector store was built with ${indexModel} but the configured model is ${this.model} - not loading it`);
+        return false;
+      }
+      if (metadata.dimension && metadata.dimension !== this.dimension) {
+        console.warn(`Vector store has dimension ${metadata.dimension} but the model produces ${this.dimension} - not loading it`);
+        return false;
+      }
+
       this.documents = metadata.documents || [];
-      this.dimension = metadata.dimension || this.dimension;
+      this.model = this.model || indexModel || null;
       this.maxElements = metadata.maxElements || this.maxElements;
       this.indexBuilt = metadata.indexBuilt || this.documents.length > 0;
       this.spaceName = metadata.spaceName || this.spaceName;
       this.efConstruction = metadata.efConstruction || this.efConstruction;
       this.M = metadata.M || this.M;
+      this.deletedCount = this.documents.filter(doc => !doc).length;
+      this.asinLabels = new Map();
+      this.documents.forEach((doc, label) => {
+        const asin = doc?.metadata?.asin;
+        if (asin) this.asinLabels.set(asin, [...(this.asinLabels.get(asin) || []), label]);
+      });
       
       console.log(`Metadata loaded: dimension=${this.dimension}, maxElements=${this.maxElements}, documents=${this.documents.length}`);
       
@@ -283,13 +503,13 @@ export class HNSWVectorStore {
         // Load the index from file - pass only the exact params needed
         // This is the critical fix: properly setting up the index before reading from disk
         console.log(`Reading index with maxElements=${this.maxElements}`);
-        this.index.readIndex(indexPath, this.maxElements);
+        await this.index.readIndex(indexPath);
         
         // Set search parameters after loading
         this.index.setEf(Math.max(this.efConstruction, 50)); // Set search quality parameter
         
         this.initialized = true;
-        console.log(`Loaded vector store with ${this.documents.length} documents successfully`);
+        console.log(`Loaded vector store with ${this.documentCount} documents successfully`);
         return true;
       } catch (error) {
         console.error(`Error reading index: ${error.message}`);
@@ -310,6 +530,8 @@ export class HNSWVectorStore {
   async reset() {
     this.index = null;
     this.documents = [];
+    this.asinLabels = new Map();
+    this.deletedCount = 0;
     this.initialized = false;
     this.indexBuilt = false;
     
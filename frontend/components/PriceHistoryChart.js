@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const MARGIN = { top: 12, right: 64, bottom: 28, left: 56 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Above this many points the lines speak for themselves and markers only add noise
+const MAX_MARKED_POINTS = 40;
+
+const RANGES = [
+  { label: '30d', days: 30 },
+  { label: '90d', days: 90 },
+  { label: '180d', days: 180 },
+  { label: 'All', days: null }
+];
+
+const SERIES = [
+  { key: 'price', label: 'Buy Box', color: '#60a5fa', axis: 'price' },
+  { key: 'amazonPrice', label: 'Amazon', color: '#fb923c', axis: 'price' },
+  { key: 'salesRank', label: 'Sales rank', color: '#4ade80', axis: 'rank', dashed: true }
+];
+const [BUY_BOX, AMAZON, SALES_RANK] = SERIES;
+
+const formatPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '–');
+const formatRank = (value) => (typeof value === 'number' ? `#${Math.round(value).toLocaleString('en-US')}` : '–');
+const formatShortRank = (value) => (value >= 1e6 ? `${value / 1e6}M` : value >= 1e3 ? `${value / 1e3}k` : `${value}`);
+
+// Round price axis steps to 1, 2 or 5 times a power of ten
+function priceTicks(min, max, count = 4) {
+  const rough = (max - min) / count || 1;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [Math.floor(min / step) * step];
+  while (ticks[ticks.length - 1] < max) {
+    ticks.push(Math.round((ticks[ticks.length - 1] + step) * 100) / 100);
+  }
+  return ticks;
+}
+
+// Sales ranks span several orders of magnitude, so that axis is log10 with a tick per decade
+function rankDomain(values) {
+  const low = Math.floor(Math.log10(Math.min(...values)));
+  const high = Math.ceil(Math.log10(Math.max(...values)));
+  return [low, high > low ? high : low + 1];
+}
+
+// A rank of 0 can't go on a log axis, so it counts as missing
+const hasValue = (point, series) => typeof point[series.key] === 'number' && (series.axis !== 'rank' || point[series.key] > 0);
+
+// SVG path through the points with a value, leaving gaps where the value is missing
+function linePath(points, series, x, y) {
+  let path = '';
+  let drawing = false;
+  for (const point of points) {
+    if (!hasValue(point, series)) {
+      drawing = false;
+      continue;
+    }
+    path += `${drawing ? 'L' : 'M'}${x(point.time).toFixed(1)},${y(point[series.key]).toFixed(1)}`;
+    drawing = true;
+  }
+  return path;
+}
+
+// Buy Box price, Amazon price and sales rank over the snapshot history of one product
+const PriceHistoryChart = ({ snapshots }) => {
+  const [range, setRange] = useState(RANGES[1]);
+  const [hover, setHover] = useState(null);
+
+  const history = snapshots
+    .map(snapshot => ({ ...snapshot, time: Date.parse(snapshot.capturedAt) }))
+    .filter(point => SERIES.some(series => hasValue(point, series)));
+  // Ranges count back from the latest snapshot, since exports may be older than today
+  const end = history.length ? history[history.length - 1].time : 0;
+  const points = range.days ? history.filter(point => point.time >= end - range.days * DAY_MS) : history;
+
+  const prices = points.flatMap(point => [point.price, point.amazonPrice]).filter(value => typeof value === 'number');
+  const ranks = points.filter(point => hasValue(point, SALES_RANK)).map(point => point.salesRank);
+
+  const start = points.length ? points[0].time : 0;
+  const [timeMin, timeMax] = start === end ? [start - DAY_MS, end + DAY_MS] : [start, end];
+  const x = (time) => MARGIN.left + ((time - timeMin) / (timeMax - timeMin)) * PLOT_WIDTH;
+
+  const yPriceTicks = prices.length ? priceTicks(Math.min(...prices), Math.max(...prices)) : [];
+  const [priceMin, priceMax] = yPriceTicks.length > 1
+    ? [yPriceTicks[0], yPriceTicks[yPriceTicks.length - 1]]
+    : [(yPriceTicks[0] || 0) - 1, (yPriceTicks[0] || 0) + 1];
+  const yPrice = (value) => MARGIN.top + (1 - (value - priceMin) / (priceMax - priceMin)) * PLOT_HEIGHT;
+
+  const [rankLow, rankHigh] = ranks.length ? rankDomain(ranks) : [0, 1];
+  const yRank = (value) => MARGIN.top + (1 - (Math.log10(value) - rankLow) / (rankHigh - rankLow)) * PLOT_HEIGHT;
+  const rankTicks = Array.from({ length: rankHigh - rankLow + 1 }, (_, i) => 10 ** (rankLow + i));
+
+  const yFor = (series) => (series.axis === 'rank' ? yRank : yPrice);
+  const visibleSeries = SERIES.filter(series => points.some(point => hasValue(point, series)));
+
+  const spanDays = (timeMax - timeMin) / DAY_MS;
+  const formatTick = (time) => new Date(time).toLocaleDateString('en-US',
+    spanDays > 300 ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' });
+  const timeTicks = Array.from({ length: 5 }, (_, i) => timeMin + ((timeMax - timeMin) * i) / 4);
+
+  // Snap the hover line to the snapshot closest to the pointer
+  const handleMouseMove = (e) => {
+    if (!points.length) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const svgX = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const nearest = points.reduce((best, point) =>
+      (Math.abs(x(point.time) - svgX) < Math.abs(x(best.time) - svgX) ? point : best));
+    setHover(nearest);
+  };
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h2 className="text-sm font-semibold text-blue-300">Price & sales rank</h2>
+        <div className="flex gap-1">
+          {RANGES.map(option => (
+            <button
+              key={option.label}
+              type="button"
+              className={`text-xs border rounded px-2 py-0.5 transition ${option === range
+                ? 'border-blue-400 text-blue-300 bg-blue-900/40'
+                : 'border-gray-700 text-gray-400 hover:border-blue-400'}`}
+              onClick={() => setRange(option)}
+              aria-pressed={option === range}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length === 0 ? (
+        <div className="text-sm text-gray-400">No price or sales rank history yet.</div>
+      ) : (
+        <div className="relative">
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            role="img"
+            aria-label="Price and sales rank history"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHover(null)}
+          >
+            {yPriceTicks.map(tick => (
+              <g key={`price-${tick}`}>
+                <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yPrice(tick)} y2={yPrice(tick)} stroke="#374151" strokeWidth="1" />
+                <text x={MARGIN.left - 6} y={yPrice(tick) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">${tick}</text>
+              </g>
+            ))}
+            {ranks.length > 0 && rankTicks.map(tick => (
+              <text key={`rank-${tick}`} x={WIDTH - MARGIN.right + 6} y={yRank(tick) + 4} fontSize="11" fill={SALES_RANK.color}>
+                #{formatShortRank(tick)}
+              </text>
+            ))}
+            {timeTicks.map(tick => (
+              <text key={`time-${tick}`} x={x(tick)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#9ca3af">
+                {formatTick(tick)}
+              </text>
+            ))}
+
+            {visibleSeries.map(series => (
+              <g key={series.key}>
+                <path
+                  d={linePath(points, series, x, yFor(series))}
+                  fill="none"
+                  stroke={series.color}
+                  strokeWidth="2"
+                  strokeDasharray={series.dashed ? '5 3' : undefined}
+                />
+                {points.length <= MAX_MARKED_POINTS && points
+                  .filter(point => hasValue(point, series))
+                  .map(point => (
+                    <circle key={point.time} cx={x(point.time)} cy={yFor(series)(point[series.key])} r="2.5" fill={series.color} />
+                  ))}
+              </g>
+            ))}
+
+            {hover && (
+              <line x1={x(hover.time)} x2={x(hover.time)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#e5e7eb" strokeWidth="1" strokeDasharray="2 2" />
+            )}
+          </svg>
+
+          {hover && (
+            <div
+              className="absolute top-2 pointer-events-none bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs text-gray-200 whitespace-nowrap"
+              style={x(hover.time) > WIDTH / 2
+                ? { right: `${(1 - x(hover.time) / WIDTH) * 100 + 1}%` }
+                : { left: `${(x(hover.time) / WIDTH) * 100 + 1}%` }}
+            >
+              <div className="text-gray-400">{new Date(hover.time).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</div>
+              <div style={{ color: BUY_BOX.color }}>Buy Box {formatPrice(hover.price)}</div>
+              <div style={{ color: AMAZON.color }}>Amazon {formatPrice(hover.amazonPrice)}</div>
+              <div style={{ color: SALES_RANK.color }}>Sales rank {formatRank(hover.salesRank)}</div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+        {SERIES.map(series => (
+          <span key={series.key} className="flex items-center gap-1">
+            <svg width="16" height="6" aria-hidden="true">
+              <line x1="0" x2="16" y1="3" y2="3" stroke={series.color} strokeWidth="2" strokeDasharray={series.dashed ? '4 2' : undefined} />
+            </svg>
+            {series.label}{series.axis === 'rank' && ' (log scale)'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import Link from "next/link";
+
+const DESCRIPTION_PREVIEW_CHARS = 160;
+
+const formatPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : null);
+const formatCount = (value) => (typeof value === 'number' ? Math.round(value).toLocaleString('en-US') : null);
+
+// Search hits carry a product record; analytics results may only have values
+function productView(result) {
+  const product = result.product || {};
+  const values = result.values || {};
+  const metadata = result.metadata || {};
+  return {
+    asin: product.asin || metadata.asin,
+    title: product.title || metadata.title || 'Unknown product',
+    brand: product.brand || metadata.brand,
+    price: product.price ?? values.price,
+    salesRank: product.salesRank ?? values.salesRank,
+    reviewRating: product.reviewRating ?? values.reviewRating,
+    reviewCount: product.reviewCount ?? values.reviewCount,
+    description: product.description
+  };
+}
+
+// How the result was found - vector scores are cosine distances, lower is closer
+function relevanceLabel(result) {
+  if (result.exactMatch) return 'Exact ASIN match';
+  if (typeof result.score === 'number') return `${Math.max(0, Math.round((1 - result.score) * 100))}% match`;
+  if (result.metadata?.source === 'lexical') return 'Keyword match';
+  return null;
+}
+
+function RatingStars({ rating }) {
+  const filled = Math.round(rating);
+  return (
+    <span className="text-yellow-400" aria-label={`${rating.toFixed(1)} out of 5 stars`}>
+      {'★'.repeat(filled)}<span className="text-gray-600">{'★'.repeat(Math.max(0, 5 - filled))}</span>
+      <span className="text-gray-300 ml-1">{rating.toFixed(1)}</span>
+    </span>
+  );
+}
+
+// One search or analytics result in an assistant message
+const ProductCard = ({ result, cited = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const product = productView(result);
+  const relevance = relevanceLabel(result);
+
+  const copyAsin = async () => {
+    try {
+      await navigator.clipboard.writeText(product.asin);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Could not copy ASIN:', err);
+    }
+  };
+
+  const description = product.description || '';
+  const longDescription = description.length > DESCRIPTION_PREVIEW_CHARS;
+
+  return (
+    <div className={`p-3 bg-gray-900 border rounded-lg text-left text-sm ${cited ? 'border-blue-500' : 'border-gray-700'}`}>
+      <div className="flex justify-between items-start gap-2">
+        {product.asin ? (
+          <Link href={`/product/${product.asin}`} className="text-gray-100 font-medium hover:text-blue-300">
+            {product.title}
+          </Link>
+        ) : (
+          <div className="text-gray-100 font-medium">{product.title}</div>
+        )}
+        {relevance && <span className="shrink-0 text-xs text-gray-500">{relevance}</span>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1 text-xs text-gray-400">
+        {product.asin && (
+          <button
+            type="button"
+            className="font-mono border border-gray-700 rounded px-1.5 hover:border-blue-400 hover:text-blue-300"
+            onClick={copyAsin}
+            title="Copy ASIN"
+          >
+            {copied ? 'Copied!' : product.asin}
+          </button>
+        )}
+        {product.brand && <span>{product.brand}</span>}
+        {formatPrice(product.price) && <span className="text-green-300">{formatPrice(product.price)}</span>}
+        {formatCount(product.salesRank) && <span>Sales rank #{formatCount(product.salesRank)}</span>}
+        {typeof product.reviewRating === 'number' && <RatingStars rating={product.reviewRating} />}
+        {formatCount(product.reviewCount) && <span>{formatCount(product.reviewCount)} reviews</span>}
+      </div>
+
+      {description && (
+        <div className="mt-2 text-xs text-gray-300">
+          {expanded || !longDescription ? description : `${description.slice(0, DESCRIPTION_PREVIEW_CHARS).trimEnd()}…`}
+          {longDescription && (
+            <button
+              type="button"
+              className="ml-1 text-blue-300 hover:text-blue-500"
+              onClick={() => setExpanded(!expanded)}
+              aria-expanded={expanded}
+            >
+              {expanded ? 'Show less' : 'Show more'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductCard;
@@ -0,0 +1,175 @@
+import React, { useState, useRef, useEffect } from "react";
+
+const POLL_INTERVAL_MS = 1000;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Running jobs are labelled by their stage
+const STATUS_LABELS = {
+  uploading: 'Uploading',
+  queued: 'Queued',
+  analyzing: 'Reading headers',
+  hashing: 'Checking for changes',
+  importing: 'Importing rows',
+  'checking products': 'Comparing with the search index',
+  embedding: 'Embedding products',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+function statusLabel(job) {
+  if (job.status === 'completed' && job.result?.skipped) return 'Already imported - no changes';
+  if (job.status === 'running') return job.message || STATUS_LABELS[job.stage] || 'Running';
+  return STATUS_LABELS[job.status] || job.status;
+}
+
+function ProgressBar({ percent }) {
+  return (
+    <div className="w-full h-1.5 bg-gray-800 rounded mt-1">
+      <div className="h-1.5 bg-blue-500 rounded transition-all" style={{ width: `${percent || 0}%` }} />
+    </div>
+  );
+}
+
+// Drag-and-drop Keepa CSV upload with live import and embedding progress
+const UploadPanel = () => {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const pollRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(pollRef.current), []);
+
+  const pollJob = (id) => {
+    pollRef.current = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/imports/${id}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Status check failed (${res.status})`);
+
+        setJob(data.job);
+        if (!FINISHED_STATUSES.includes(data.job.status)) pollJob(id);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, POLL_INTERVAL_MS);
+  };
+
+  const uploadFile = async (file) => {
+    if (!file) return;
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      setError('Only .csv files can be imported');
+      return;
+    }
+
+    clearTimeout(pollRef.current);
+    setError(null);
+    setJob({ status: 'uploading', details: { filename: file.name } });
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const res = await fetch('/api/imports', { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+
+      setJob(data.job);
+      pollJob(data.jobId);
+    } catch (err) {
+      setJob(null);
+      setError(err.message);
+    }
+  };
+
+  const cancelJob = async () => {
+    try {
+      const res = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Cancel failed (${res.status})`);
+      setJob(data.job);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    uploadFile(e.dataTransfer.files[0]);
+  };
+
+  const busy = job && !FINISHED_STATUSES.includes(job.status);
+
+  return (
+    <div className="w-full mb-6">
+      <div
+        className={`w-full border-2 border-dashed rounded-lg px-4 py-4 text-center text-sm cursor-pointer transition ${
+          isDragging ? "border-blue-400 bg-blue-900/30 text-blue-200" : "border-gray-700 bg-gray-900/60 text-gray-400 hover:border-blue-400"
+        }`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !busy && fileInputRef.current?.click()}
+        role="button"
+        aria-label="Upload a Keepa CSV"
+      >
+        {busy ? 'Import in progress...' : 'Drop a Keepa CSV export here, or click to choose a file'}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          className="hidden"
+          onChange={(e) => { uploadFile(e.target.files[0]); e.target.value = ''; }}
+        />
+      </div>
+
+      {error && (
+        <div className="mt-2 text-xs text-red-300">Upload error: {error}</div>
+      )}
+
+      {job && (
+        <div className="mt-2 p-3 bg-gray-900 border border-gray-700 rounded-lg text-xs text-gray-300">
+          <div className="flex justify-between items-center">
+            <span className="truncate mr-2">{job.details?.filename}</span>
+            <span className="flex items-center gap-2">
+              <span className={job.status === 'failed' ? 'text-red-300' : job.status === 'completed' ? 'text-green-300' : 'text-blue-300'}>
+                {statusLabel(job)}
+              </span>
+              {job.id && (job.status === 'queued' || job.status === 'running') && (
+                <button
+                  className="border border-gray-600 rounded px-1.5 text-gray-400 hover:border-red-400 hover:text-red-300"
+                  onClick={cancelJob}
+                >
+                  Cancel
+                </button>
+              )}
+            </span>
+          </div>
+          {job.details?.rowsParsed !== undefined && (
+            <div className="mt-1">
+              {job.details.rowsParsed.toLocaleString()} rows parsed · {(job.details.rowsImported || 0).toLocaleString()} imported · {(job.details.rowsRejected || 0).toLocaleString()} rejected
+              {job.details.parseErrors && Object.keys(job.details.parseErrors).length > 0 && (
+                <span className="text-yellow-300"> · unparseable values in {Object.keys(job.details.parseErrors).join(', ')}</span>
+              )}
+            </div>
+          )}
+          {job.status === 'running' && job.progress?.total > 0 && (
+            <div className="mt-1">
+              {job.progress.current.toLocaleString()} / {job.progress.total.toLocaleString()}
+              {job.etaSeconds !== null && <span className="text-gray-500"> · about {Math.max(1, Math.round(job.etaSeconds / 60))} min left</span>}
+              <ProgressBar percent={job.progress.percent} />
+            </div>
+          )}
+          {job.details?.embeddingPending && (
+            <div className="mt-1 text-gray-500">Products will be embedded once the search index finishes loading</div>
+          )}
+          {job.error && <div className="mt-1 text-red-300">{job.error}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadPanel;
@@ -12,15 +12,26 @@ export default async function handler(req, res) {
       });
     }
     
+    const stream = req.body.stream === true;
+
+    // Abort the backend request (and the model call behind it) if the browser goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    
     // Forward the request to the backend
-    const backendRes = await fetch("http://localhost:5000/api/vectorsearch", {
+    const backendRes = await fetch("http://localhost:5000/api/chat", {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
       },
       body: JSON.stringify({ 
-        query: userQuery
+        query: userQuery,
+        history: Array.isArray(req.body.history) ? req.body.history : [],
+        stream
       }),
+      signal: controller.signal,
     });
 
     if (!backendRes.ok) {
@@ -32,21 +43,29 @@ export default async function handler(req, res) {
       throw new Error(errorData.error || `Backend error: ${backendRes.status}`);
     }
 
+    if (stream) {
+      return await pipeStream(backendRes, res, controller.signal);
+    }
+
     // Parse the JSON response from backend
     const searchResults = await backendRes.json();
     
-    // Generate a response based on the product data
-    const formattedResponse = formatProductDataResponse(userQuery, searchResults.results);
-    
-    // Send the formatted response
+    // The backend generates the grounded answer from the retrieved products
     res.status(200).json({ 
-      response: formattedResponse,
+      response: searchResults.answer,
+      citations: searchResults.citations || [],
+      provider: searchResults.provider,
       rawResults: searchResults.results,
+      asins: searchResults.asins || [],
+      intent: searchResults.intent,
       query: userQuery,
+      resolvedQuery: searchResults.resolvedQuery,
       count: searchResults.results.length
     });
   } catch (error) {
+    if (error.name === "AbortError") return;
     console.error("API route error:", error);
+    if (res.headersSent) return res.end();
     res.status(500).json({ 
       error: error.message,
       status: 'error'
@@ -54,33 +73,24 @@ export default async function handler(req, res) {
   }
 }
 
-// Helper function to generate a human-readable response from the product data
-function formatProductDataResponse(question, productData) {
-  if (!productData || productData.length === 0) {
-    return "I couldn't find any relevant products matching your query.";
-  }
-  
-  // Extract product information from the search results
-  const products = productData.map(item => {
-    const metadata = item.metadata || {};
-    return {
-      title: metadata.title || "Unknown product",
-      asin: metadata.asin || "Unknown ASIN",
-      // Convert score to a percentage if available
-      relevance: item.score !== undefined ? 
-        Math.round((1 - item.score) * 100) + '%' : 
-        "N/A"
-    };
+// Helper function to pass the backend's NDJSON event stream through chunk by chunk
+async function pipeStream(backendRes, res, signal) {
+  res.writeHead(200, {
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    // Keep Next's compression from buffering the stream
+    "Content-Encoding": "none",
+    "X-Accel-Buffering": "no",
   });
-  
-  // Create a response based on the question and found products
-  let response = `Based on your query "${question}", I found ${products.length} relevant products:\n\n`;
-  
-  products.forEach((product, index) => {
-    response += `${index + 1}. ${product.title} (ASIN: ${product.asin}, Relevance: ${product.relevance})\n`;
-  });
-  
-  response += "\nFor more detailed analysis on these products, you can ask specific questions about pricing trends, sales rank, or other metrics.";
-  
-  return response;
-}
\ No newline at end of file
+
+  const reader = backendRes.body.getReader();
+  try {
+    while (!signal.aborted) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(value);
+    }
+  } finally {
+    res.end();
+  }
+}
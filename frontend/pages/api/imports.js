@@ -0,0 +1,47 @@
+// File: pages/api/imports.js
+// Streams CSV uploads to the backend without buffering them, and lists import jobs
+
+// Leave the multipart body untouched so it can be piped straight through
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const backendRes = await fetch("http://localhost:5000/api/imports");
+      return res.status(backendRes.status).json(await backendRes.json());
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method not allowed', status: 'error' });
+    }
+
+    const headers = { "Content-Type": req.headers['content-type'] || '' };
+    if (req.headers['content-length']) {
+      headers["Content-Length"] = req.headers['content-length'];
+    }
+
+    const backendRes = await fetch("http://localhost:5000/api/imports", {
+      method: "POST",
+      headers,
+      body: req,
+      duplex: 'half'
+    });
+
+    const data = await backendRes.json().catch(() => ({
+      error: `Backend returned status: ${backendRes.status}`
+    }));
+    res.status(backendRes.status).json(data);
+  } catch (error) {
+    console.error("Import API route error:", error);
+    res.status(500).json({
+      error: 'Failed to upload file',
+      message: error.message,
+      status: 'error'
+    });
+  }
+}
@@ -0,0 +1,18 @@
+// File: pages/api/imports/[id].js
+// Progress of a single import job
+export default async function handler(req, res) {
+  try {
+    const backendRes = await fetch(`http://localhost:5000/api/imports/${encodeURIComponent(req.query.id)}`);
+    const data = await backendRes.json().catch(() => ({
+      error: `Backend returned status: ${backendRes.status}`
+    }));
+    res.status(backendRes.status).json(data);
+  } catch (error) {
+    console.error("Import status API route error:", error);
+    res.status(500).json({
+      error: 'Failed to fetch import status',
+      message: error.message,
+      status: 'error'
+    });
+  }
+}
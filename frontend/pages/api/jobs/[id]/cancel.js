@@ -0,0 +1,25 @@
+// File: pages/api/jobs/[id]/cancel.js
+// Cancel a queued or running background job
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed', status: 'error' });
+  }
+
+  try {
+    const backendRes = await fetch(`http://localhost:5000/api/jobs/${encodeURIComponent(req.query.id)}/cancel`, {
+      method: 'POST'
+    });
+    const data = await backendRes.json().catch(() => ({
+      error: `Backend returned status: ${backendRes.status}`
+    }));
+    res.status(backendRes.status).json(data);
+  } catch (error) {
+    console.error("Job cancel API route error:", error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      message: error.message,
+      status: 'error'
+    });
+  }
+}
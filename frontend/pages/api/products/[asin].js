@@ -0,0 +1,18 @@
+// File: pages/api/products/[asin].js
+// A single product with its Keepa fields and snapshot history
+export default async function handler(req, res) {
+  try {
+    const backendRes = await fetch(`http://localhost:5000/api/products/${encodeURIComponent(req.query.asin)}`);
+    const data = await backendRes.json().catch(() => ({
+      error: `Backend returned status: ${backendRes.status}`
+    }));
+    res.status(backendRes.status).json(data);
+  } catch (error) {
+    console.error("Product API route error:", error);
+    res.status(500).json({
+      error: 'Failed to fetch product',
+      message: error.message,
+      status: 'error'
+    });
+  }
+}
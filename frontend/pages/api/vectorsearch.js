@@ -20,7 +20,11 @@ export default async function handler(req, res) {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({ 
-          query: userQuery
+          query: userQuery,
+          k: req.body.k,
+          mode: req.body.mode,
+          filters: req.body.filters,
+          fields: req.body.fields
         }),
       });
   
@@ -29,6 +33,11 @@ export default async function handler(req, res) {
         const errorData = await backendRes.json().catch(() => ({ 
           error: `Backend returned status: ${backendRes.status}`
         }));
+
+        // Pass validation errors (bad filters, fields, k or mode) straight back to the caller
+        if (backendRes.status === 400) {
+          return res.status(400).json({ ...errorData, status: 'error' });
+        }
         
         throw new Error(errorData.error || `Backend error: ${backendRes.status}`);
       }
@@ -43,6 +52,9 @@ export default async function handler(req, res) {
       res.status(200).json({ 
         response: formattedResponse,
         rawResults: searchResults.results,
+        mode: searchResults.mode,
+        filters: searchResults.filters,
+        fields: searchResults.fields,
         query: userQuery,
         count: searchResults.results.length
       });
@@ -64,9 +76,12 @@ export default async function handler(req, res) {
     // Extract product information from the search results
     const products = productData.map(item => {
       const metadata = item.metadata || {};
+      const product = item.product || {};
       return {
         title: metadata.title || "Unknown product",
         asin: metadata.asin || "Unknown ASIN",
+        price: typeof product.price === 'number' ? `$${product.price.toFixed(2)}` : null,
+        rating: typeof product.reviewRating === 'number' ? `${product.reviewRating.toFixed(1)}★` : null,
         // Convert score to a percentage if available
         relevance: item.score !== undefined ? 
           Math.round((1 - item.score) * 100) + '%' : 
@@ -78,7 +93,8 @@ export default async function handler(req, res) {
     let response = `Based on your query "${question}", I found ${products.length} relevant products:\n\n`;
     
     products.forEach((product, index) => {
-      response += `${index + 1}. ${product.title} (ASIN: ${product.asin}, Relevance: ${product.relevance})\n`;
+      const details = [`ASIN: ${product.asin}`, product.price, product.rating, `Relevance: ${product.relevance}`].filter(Boolean);
+      response += `${index + 1}. ${product.title} (${details.join(', ')})\n`;
     });
     
     response += "\nFor more detailed analysis on these products, you can ask specific questions about pricing trends, sales rank, or other metrics.";
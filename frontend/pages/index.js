@@ -1,5 +1,8 @@
 import { useState, useRef, useEffect } from 'react';
+import Link from 'next/link';
 import StarBanner from '../components/StarBanner';
+import UploadPanel from '../components/UploadPanel';
+import ProductCard from '../components/ProductCard';
 
 const EXAMPLES = [
   'Which product has had the most stable price?',
@@ -9,6 +12,39 @@ const EXAMPLES = [
   'Summarize the price trends for each product.'
 ];
 
+const MAX_HISTORY_MESSAGES = 10;
+
+// Read a newline-delimited JSON response, calling onEvent for every complete line
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  }
+
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+// Turn the [ASIN] citations in an answer into links to the product page
+function AnswerText({ content, asins }) {
+  if (!asins?.length) return content;
+
+  const pattern = new RegExp(`(${asins.join('|')})`, 'g');
+  return content.split(pattern).map((part, i) => (asins.includes(part) ? (
+    <Link key={i} href={`/product/${part}`} className="text-blue-300 underline hover:text-blue-500">{part}</Link>
+  ) : part));
+}
+
 function ExampleMarquee({ onExample }) {
   return (
     <div className="w-full overflow-x-auto whitespace-nowrap mb-8 scrollbar-hide">
@@ -37,6 +73,7 @@ export default function Home() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   // Auto-scroll to bottom when messages change
   useEffect(() => {
@@ -44,23 +81,41 @@ export default function Home() {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
   }, [messages]);
+
+  // Merge an update into the last message (the assistant answer being streamed)
+  const updateLastMessage = (update) => {
+    setMessages(msgs => {
+      const last = msgs[msgs.length - 1];
+      return [...msgs.slice(0, -1), { ...last, ...update(last) }];
+    });
+  };
   
   const handleSend = async (e) => {
     e.preventDefault();
     if (!input.trim()) return;
   
     const userMessage = input.trim();
+    // Earlier turns (with the ASINs each answer was about) let the backend resolve follow-ups
+    const history = messages
+      .filter(msg => msg.content && !msg.content.startsWith('❌'))
+      .slice(-MAX_HISTORY_MESSAGES)
+      .map(msg => ({ role: msg.role, content: msg.content, asins: msg.asins || [] }));
     setMessages([...messages, { role: 'user', content: userMessage }]);
     setIsLoading(true);
     setError(null);
     setInput(''); // Clear input right away for better UX
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let isStreaming = false;
   
     try {
       // Using the API route that will handle communication with the backend
-      const res = await fetch("/api/vectorsearch", {
+      const res = await fetch("/api/chat", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query: userMessage }),
+        body: JSON.stringify({ query: userMessage, history, stream: true }),
+        signal: controller.signal,
       });
   
       if (!res.ok) {
@@ -80,32 +135,50 @@ export default function Home() {
         throw new Error(errorMessage);
       }
   
-      // Get the response as text first
-      const responseText = await res.text();
-      let formattedResponse;
-      
-      try {
-        // Try to parse as JSON
-        const jsonResponse = JSON.parse(responseText);
-        formattedResponse = jsonResponse.response || responseText;
-      } catch {
-        // If not JSON, use as text
-        formattedResponse = responseText;
-      }
-      
-      // Add the response to chat
-      setMessages(msgs => [...msgs, { role: "assistant", content: formattedResponse }]);
+      // Render the answer token by token as the events arrive
+      await readEventStream(res, (event) => {
+        if (event.type === 'meta') {
+          isStreaming = true;
+          setMessages(msgs => [...msgs, { role: "assistant", content: '', streaming: true, rawResults: event.results }]);
+        } else if (event.type === 'token') {
+          updateLastMessage(msg => ({ content: msg.content + event.text }));
+        } else if (event.type === 'done') {
+          updateLastMessage(() => ({ content: event.answer, citations: event.citations, asins: event.asins, streaming: false }));
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        }
+      });
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user cancelled
+        if (isStreaming) {
+          updateLastMessage(() => ({ streaming: false, cancelled: true }));
+        } else {
+          setMessages(msgs => [...msgs, { role: "assistant", content: '', cancelled: true }]);
+        }
+        return;
+      }
+
       console.error("Request error:", error);
       setError(error.message);
+      if (isStreaming) {
+        updateLastMessage(() => ({ streaming: false }));
+      }
       setMessages(msgs => [
         ...msgs,
         { role: "assistant", content: `❌ Error: ${error.message}` },
       ]);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
   
 
   const handleExample = (ex) => {
@@ -114,6 +187,8 @@ export default function Home() {
 
   // Display backend status
   const [backendStatus, setBackendStatus] = useState("unknown");
+  // Running background job, e.g. "Load or build the vector index: embedding 12,400 / 80,000"
+  const [backendActivity, setBackendActivity] = useState(null);
   
   useEffect(() => {
     // Check backend status when component mounts
@@ -125,7 +200,9 @@ export default function Home() {
         });
         
         if (res.ok) {
+          const data = await res.json();
           setBackendStatus("online");
+          setBackendActivity(data.progress || null);
         } else {
           setBackendStatus("error");
         }
@@ -162,6 +239,7 @@ export default function Home() {
           Backend: {backendStatus === "online" ? "Connected" : 
                    backendStatus === "offline" ? "Not responding" : 
                    "Checking..."}
+          {backendStatus === "online" && backendActivity && ` · ${backendActivity}`}
         </div>
         
         <form onSubmit={handleSend} className="w-full flex flex-col items-center mb-2">
@@ -174,14 +252,25 @@ export default function Home() {
               onChange={(e) => setInput(e.target.value)}
               disabled={isLoading}
             />
-            <button
-              className="ml-2 text-xl text-blue-300 hover:text-blue-500 disabled:opacity-50"
-              type="submit"
-              disabled={isLoading || !input.trim()}
-              aria-label="Send"
-            >
-              <span className="inline-block rotate-45">↑</span>
-            </button>
+            {isLoading ? (
+              <button
+                className="ml-2 text-sm border border-red-400 text-red-300 rounded px-2 py-1 hover:bg-red-900 transition"
+                type="button"
+                onClick={handleCancel}
+                aria-label="Cancel"
+              >
+                Stop
+              </button>
+            ) : (
+              <button
+                className="ml-2 text-xl text-blue-300 hover:text-blue-500 disabled:opacity-50"
+                type="submit"
+                disabled={!input.trim()}
+                aria-label="Send"
+              >
+                <span className="inline-block rotate-45">↑</span>
+              </button>
+            )}
           </div>
           <div className="flex items-center gap-2 mt-2">
             <span className="flex items-center gap-1 text-gray-400 text-sm">
@@ -202,19 +291,38 @@ export default function Home() {
         
         {/* Auto-scrolling example searches */}
         <ExampleMarquee onExample={handleExample} />
+
+        {/* Add more Keepa exports without restarting the backend */}
+        <UploadPanel />
         
         {/* Chat history below search area, only show if there are messages or loading */}
         {(messages.length > 0 || isLoading) && (
           <div className="w-full max-w-2xl bg-gray-900 border border-gray-700 rounded-lg shadow p-6 flex flex-col space-y-2 min-h-[100px]">
             {messages.map((msg, i) => (
               <div key={i} className={msg.role === 'user' ? 'text-right' : 'text-left'}>
-                <span className={msg.role === 'user' ? 'bg-blue-900 text-blue-200' : 'bg-gray-800 text-gray-200'}
+                <span className={`whitespace-pre-wrap text-left ${msg.role === 'user' ? 'bg-blue-900 text-blue-200' : 'bg-gray-800 text-gray-200'}`}
                   style={{ borderRadius: '0.5rem', padding: '0.5rem 1rem', display: 'inline-block', marginBottom: 2 }}>
-                  {msg.content}
+                  {msg.role === 'assistant'
+                    ? <AnswerText content={msg.content} asins={msg.citations || msg.rawResults?.map(result => result.metadata?.asin).filter(Boolean)} />
+                    : msg.content}
+                  {msg.streaming && <span className="animate-pulse">▍</span>}
+                  {msg.cancelled && <span className="block text-xs text-gray-500 mt-1">Cancelled</span>}
                 </span>
+                {/* The products the answer was built from, cited ones outlined */}
+                {msg.role === 'assistant' && msg.rawResults?.length > 0 && (
+                  <div className="flex flex-col gap-2 mt-2">
+                    {msg.rawResults.map((result, j) => (
+                      <ProductCard
+                        key={result.metadata?.asin || j}
+                        result={result}
+                        cited={Boolean(msg.citations?.includes(result.metadata?.asin))}
+                      />
+                    ))}
+                  </div>
+                )}
               </div>
             ))}
-            {isLoading && (
+            {isLoading && !messages[messages.length - 1]?.streaming && (
               <div className="text-left">
                 <span className="bg-gray-800 text-gray-200" style={{ borderRadius: '0.5rem', padding: '0.5rem 1rem', display: 'inline-block' }}>
                   <span className="animate-pulse">Thinking...</span>
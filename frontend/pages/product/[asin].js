@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import StarBanner from '../../components/StarBanner';
+import PriceHistoryChart from '../../components/PriceHistoryChart';
+
+// Keepa groups its export columns as "<Section>: <Field>", shown in this order
+const SECTION_ORDER = ['Buy Box', 'Amazon', 'New', 'Sales Rank', 'Reviews', 'Description & Features'];
+// Columns without a section, like ASIN and Title
+const PRODUCT_SECTION = 'Product';
+// The snapshot table lists only the latest rows - decoded Keepa histories can hold
+// thousands. The chart above it plots every snapshot
+const MAX_SNAPSHOT_ROWS = 50;
+
+const formatPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '–');
+const formatCount = (value) => (typeof value === 'number' ? Math.round(value).toLocaleString('en-US') : '–');
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Group raw CSV values by their Keepa section, dropping the emoji Keepa puts in some names
+function groupKeepaFields(raw) {
+  const sections = new Map();
+  for (const [header, value] of Object.entries(raw || {})) {
+    const separator = header.indexOf(':');
+    const section = separator === -1
+      ? PRODUCT_SECTION
+      : header.slice(0, separator).replace(/[^\p{L}\p{N}&.\s-]/gu, '').replace(/\s+/g, ' ').trim();
+    const label = separator === -1 ? header : header.slice(separator + 1).trim();
+
+    if (!sections.has(section)) sections.set(section, []);
+    sections.get(section).push({ label, value });
+  }
+
+  const rank = (name) => {
+    if (name === PRODUCT_SECTION) return -1;
+    const index = SECTION_ORDER.indexOf(name);
+    return index === -1 ? SECTION_ORDER.length : index;
+  };
+  return [...sections.entries()].sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-gray-800 rounded-lg px-3 py-2">
+      <div className="text-xs text-gray-400">{label}</div>
+      <div className="text-lg text-white">{value}</div>
+    </div>
+  );
+}
+
+function KeepaSection({ name, fields }) {
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4">
+      <h2 className="text-sm font-semibold text-blue-300 mb-2">{name}</h2>
+      <dl className="grid grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-x-4 gap-y-1 text-sm">
+        {fields.map(({ label, value }) => (
+          <div key={label} className="contents">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-gray-200 whitespace-pre-wrap break-words">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+function SnapshotTable({ snapshots }) {
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4 overflow-x-auto">
+      <h2 className="text-sm font-semibold text-blue-300 mb-2">
+        Snapshot history
+        {snapshots.length > MAX_SNAPSHOT_ROWS && (
+          <span className="ml-2 text-xs font-normal text-gray-400">latest {MAX_SNAPSHOT_ROWS} of {snapshots.length.toLocaleString('en-US')}</span>
+        )}
+      </h2>
+      <table className="w-full text-sm text-gray-200">
+        <thead>
+          <tr className="text-left text-xs text-gray-400">
+            <th className="font-normal pr-4">Date</th>
+            <th className="font-normal pr-4">Buy Box</th>
+            <th className="font-normal pr-4">Amazon</th>
+            <th className="font-normal pr-4">Sales rank</th>
+            <th className="font-normal pr-4">Rating</th>
+            <th className="font-normal">Reviews</th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshots.slice(-MAX_SNAPSHOT_ROWS).reverse().map(snapshot => (
+            <tr key={snapshot.capturedAt} title={snapshot.sourceFile || undefined}>
+              <td className="pr-4">{formatDate(snapshot.capturedAt)}</td>
+              <td className="pr-4">{formatPrice(snapshot.price)}</td>
+              <td className="pr-4">{formatPrice(snapshot.amazonPrice)}</td>
+              <td className="pr-4">{snapshot.salesRank ? `#${formatCount(snapshot.salesRank)}` : '–'}</td>
+              <td className="pr-4">{typeof snapshot.reviewRating === 'number' ? `${snapshot.reviewRating.toFixed(1)}★` : '–'}</td>
+              <td>{formatCount(snapshot.reviewCount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Everything stored for one ASIN: key figures, price history, every Keepa column by section and the snapshot table
+export default function ProductPage() {
+  const router = useRouter();
+  const { asin } = router.query;
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!asin) return;
+
+    const loadProduct = async () => {
+      setData(null);
+      setError(null);
+      try {
+        const res = await fetch(`/api/products/${encodeURIComponent(asin)}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `Product lookup failed (${res.status})`);
+        setData(body);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    loadProduct();
+  }, [asin]);
+
+  const product = data?.product;
+
+  return (
+    <div className="relative min-h-screen flex flex-col items-center overflow-hidden bg-black">
+      <StarBanner numberOfStars={60} />
+      <div className="w-full max-w-3xl flex flex-col gap-4 mt-12 mb-12 px-4 z-10 relative">
+        <Link href="/" className="text-sm text-blue-300 hover:text-blue-500">← Back to KeepaGPT</Link>
+
+        {error && (
+          <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-200 text-sm">{error}</div>
+        )}
+        {!error && !product && <div className="text-gray-400 animate-pulse">Loading {asin}...</div>}
+
+        {product && (
+          <>
+            <div>
+              <h1 className="text-2xl font-bold text-white">{product.title || 'Unknown product'}</h1>
+              <div className="text-sm text-gray-400 mt-1">
+                <span className="font-mono">{product.asin}</span>
+                {product.brand && ` · ${product.brand}`}
+                {product.categoryPath && ` · ${product.categoryPath}`}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              <Stat label="Price" value={formatPrice(product.price)} />
+              <Stat label="Sales rank" value={product.salesRank ? `#${formatCount(product.salesRank)}` : '–'} />
+              <Stat label="Rating" value={typeof product.reviewRating === 'number' ? `${product.reviewRating.toFixed(1)}★` : '–'} />
+              <Stat label="Reviews" value={formatCount(product.reviewCount)} />
+            </div>
+
+            {data.snapshots.length > 0 && <PriceHistoryChart snapshots={data.snapshots} />}
+            {data.snapshots.length > 0 && <SnapshotTable snapshots={data.snapshots} />}
+
+            {groupKeepaFields(data.raw).map(([name, fields]) => (
+              <KeepaSection key={name} name={name} fields={fields} />
+            ))}
+            {!data.raw && (
+              <div className="text-sm text-gray-400">No Keepa columns were stored for this product.</div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}